@@ -0,0 +1,183 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { getFormat, detectFormat } = require('./interchange');
+
+const ADMIN_PAGE = path.join(__dirname, 'admin', 'index.html');
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+// HTTP server for the human review workflow: list machine translations,
+// approve or correct them and lock approved ones. Set ADMIN_TOKEN to require
+// an `Authorization: Bearer <token>` header on every API call. The whole
+// store can be exported to and imported from CAT tools as XLIFF, PO or TMX.
+// onUpdate(entries) is called with the entries an approval, edit or import wrote.
+function createAdminServer({ translationMemory, adminToken, onUpdate = () => {} }) {
+  const routes = [
+    ['GET', /^\/api\/translations$/, listTranslations],
+    ['GET', /^\/api\/translations\/export$/, exportTranslations],
+    ['POST', /^\/api\/translations\/import$/, importTranslations],
+    ['POST', /^\/api\/translations\/([a-f0-9]{64})\/approve$/, approveTranslation],
+    ['PUT', /^\/api\/translations\/([a-f0-9]{64})$/, editTranslation],
+    ['POST', /^\/api\/translations\/([a-f0-9]{64})\/(lock|unlock)$/, lockTranslation]
+  ];
+
+  async function listTranslations(req, res, url) {
+    const params = url.searchParams;
+    sendJson(res, 200, translationMemory.list({
+      status: params.get('status') || undefined,
+      targetLang: params.get('lang') || undefined,
+      q: params.get('q') || undefined,
+      limit: Math.min(parseInt(params.get('limit'), 10) || 100, 1000),
+      offset: parseInt(params.get('offset'), 10) || 0
+    }));
+  }
+
+  // ?format=xliff|po|tmx&lang=es&status=machine|reviewed; XLIFF and PO need lang
+  async function exportTranslations(req, res, url) {
+    const params = url.searchParams;
+    const formatName = params.get('format') || 'xliff';
+    const targetLang = params.get('lang') || undefined;
+    let format;
+    try {
+      format = getFormat(formatName);
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
+    }
+    if (!targetLang && formatName !== 'tmx') {
+      return sendJson(res, 400, { error: '`lang` is required for XLIFF and PO, they hold one language each' });
+    }
+
+    const entries = translationMemory.exportEntries({ targetLang, status: params.get('status') || undefined });
+    const filename = `translation-memory${targetLang ? `-${targetLang}` : ''}.${format.extension}`;
+    res.writeHead(200, {
+      'Content-Type': `${format.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+    });
+    res.end(format.serialize(entries, { targetLang }));
+    console.log(`📤 Exported ${entries.length} translations as ${formatName}${targetLang ? ` (${targetLang})` : ''}`);
+  }
+
+  // Raw file as the body; ?format= when it cannot be told from the content
+  async function importTranslations(req, res, url) {
+    const content = await readBody(req, MAX_IMPORT_BYTES);
+    const formatName = url.searchParams.get('format') || detectFormat(content);
+    let records;
+    try {
+      if (!formatName) throw new Error('Unrecognized file, pass ?format=xliff, po or tmx');
+      records = getFormat(formatName).parse(content);
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
+    }
+
+    const { changed, ...result } = await translationMemory.import(records);
+    console.log(`📥 Imported ${records.length} ${formatName} units: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`);
+    if (changed.length > 0) onUpdate(changed);
+    sendJson(res, 200, { format: formatName, units: records.length, ...result });
+  }
+
+  async function approveTranslation(req, res, url, [key]) {
+    const body = await readJson(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'Send a JSON object' });
+    }
+    // Without a translation the current one is approved as is
+    if (body.translation !== undefined && (typeof body.translation !== 'string' || !body.translation.trim())) {
+      return sendJson(res, 400, { error: '`translation` must be a non-empty string' });
+    }
+
+    const entry = await translationMemory.review(key, { translation: body.translation?.trim() });
+    if (!entry) return sendJson(res, 404, { error: 'Translation not found' });
+
+    console.log(`✔️ Approved translation ${entry.key.substring(0, 12)} (${entry.targetLang})`);
+    onUpdate([entry]);
+    sendJson(res, 200, entry);
+  }
+
+  async function editTranslation(req, res, url, [key]) {
+    const body = await readJson(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'Send a JSON object' });
+    }
+    if (typeof body.translation !== 'string' || !body.translation.trim()) {
+      return sendJson(res, 400, { error: '`translation` must be a non-empty string' });
+    }
+
+    const current = translationMemory.getByKey(key);
+    const entry = await translationMemory.review(key, {
+      translation: body.translation.trim(),
+      locked: body.locked ?? current?.locked ?? false
+    });
+    if (!entry) return sendJson(res, 404, { error: 'Translation not found' });
+
+    console.log(`✏️ Edited translation ${entry.key.substring(0, 12)} (${entry.targetLang})`);
+    onUpdate([entry]);
+    sendJson(res, 200, entry);
+  }
+
+  async function lockTranslation(req, res, url, [key, action]) {
+    const entry = await translationMemory.setLocked(key, action === 'lock');
+    if (!entry) return sendJson(res, 404, { error: 'Reviewed translation not found' });
+
+    sendJson(res, 200, entry);
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/admin')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(ADMIN_PAGE).pipe(res);
+      return;
+    }
+
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) return sendJson(res, 404, { error: 'Not found' });
+
+    if (adminToken && req.headers.authorization !== `Bearer ${adminToken}`) {
+      return sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    try {
+      const params = url.pathname.match(route[1]).slice(1);
+      await route[2](req, res, url, params);
+    } catch (error) {
+      if (error.code === 'LOCKED') return sendJson(res, 423, { error: error.message });
+      if (error instanceof SyntaxError) return sendJson(res, 400, { error: 'Invalid JSON body' });
+
+      console.error('❌ Admin request failed:', error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+async function readJson(req) {
+  const body = await readBody(req, MAX_BODY_BYTES);
+  return body ? JSON.parse(body) : {};
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      chunks.push(chunk);
+      if (size > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { createAdminServer, readJson, sendJson };
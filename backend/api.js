@@ -0,0 +1,77 @@
+const http = require('http');
+const { readJson, sendJson } = require('./admin');
+
+const MAX_TEXTS = 1000;
+
+// REST entry point for server-rendered pages, email templates and PDF
+// generators. The WebSocket server shares this HTTP server, and translations
+// go through the same cache, queue, limits and providers:
+//   POST /translate  { text, targetLang, context? } or { texts, targetLang, contexts? },
+//                    plus optional profile and priority
+//   GET  /health     provider health, 503 when no provider can take requests
+//   GET  /languages  language codes with a known script and whether they have a glossary
+//   GET  /stats      connection, queue, cache and provider counters (same auth as /translate)
+// Errors with a statusCode (auth, rate limits) are sent with that status.
+function createApiServer({ translate, health, languages, stats }) {
+  const routes = [
+    ['POST', '/translate', translateTexts],
+    ['GET', '/health', getHealth],
+    ['GET', '/languages', (req, res) => sendJson(res, 200, languages())],
+    ['GET', '/stats', (req, res) => sendJson(res, 200, stats(req))]
+  ];
+
+  async function translateTexts(req, res) {
+    const body = await readJson(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'Send a JSON object' });
+    }
+    const batch = body.texts !== undefined;
+    const texts = batch ? body.texts : [body.text];
+
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string' || !text.trim())) {
+      return sendJson(res, 400, { error: 'Send `text` as a non-empty string or `texts` as an array of them' });
+    }
+    if (texts.length > MAX_TEXTS) {
+      return sendJson(res, 400, { error: `At most ${MAX_TEXTS} texts per request` });
+    }
+    if (typeof body.targetLang !== 'string' || !body.targetLang.trim()) {
+      return sendJson(res, 400, { error: '`targetLang` is required' });
+    }
+
+    const results = await translate(req, res, {
+      texts,
+      contexts: batch ? body.contexts || [] : [body.context],
+      targetLang: body.targetLang.trim(),
+      profile: body.profile,
+      priority: body.priority
+    });
+    if (batch) return sendJson(res, 200, { translations: results });
+
+    const [result] = results;
+    const status = !result.error ? 200 : result.code === 'rate_limited' || result.code === 'quota_exceeded' ? 429 : 502;
+    sendJson(res, status, result);
+  }
+
+  async function getHealth(req, res) {
+    const result = await health();
+    sendJson(res, result.ok ? 200 : 503, result);
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(([method, pathname]) => method === req.method && pathname === url.pathname);
+    if (!route) return sendJson(res, 404, { error: 'Not found' });
+
+    try {
+      await route[2](req, res, url);
+    } catch (error) {
+      if (error.statusCode) return sendJson(res, error.statusCode, { error: error.message, ...error.details });
+      if (error instanceof SyntaxError) return sendJson(res, 400, { error: 'Invalid JSON body' });
+
+      console.error('❌ API request failed:', error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Export the audit log for compliance review.
+//
+//   npm run audit:export -- --from 2026-01-01 --to 2026-02-01 --format csv --out audit.csv
+//
+// Options:
+//   --from, --to   ISO date or timestamp; --to is exclusive
+//   --session      only this session id
+//   --outcome      ok, low_confidence or error
+//   --format       jsonl (default) or csv
+//   --out          write to a file instead of stdout
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config({ quiet: true });
+const AuditLog = require('./audit');
+
+const CSV_COLUMNS = [
+  'timestamp', 'session', 'client', 'clientId', 'provider', 'model', 'providerId', 'targetLang', 'textHash',
+  'cache', 'status', 'latencyMs', 'outcome', 'phi', 'error', 'text', 'translation'
+];
+
+function parseArgs(argv) {
+  const args = { format: 'jsonl' };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(\w+)$/.exec(argv[i]);
+    if (!match || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    args[match[1]] = argv[++i];
+  }
+  if (!['jsonl', 'csv'].includes(args.format)) {
+    throw new Error(`Unknown format "${args.format}", use jsonl or csv`);
+  }
+  return args;
+}
+
+function matches(entry, { from, to, session, outcome }) {
+  return (!from || entry.timestamp >= new Date(from).toISOString()) &&
+    (!to || entry.timestamp < new Date(to).toISOString()) &&
+    (!session || entry.session === session) &&
+    (!outcome || entry.outcome === outcome);
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const audit = new AuditLog({ dir: process.env.AUDIT_LOG_DIR || path.join(__dirname, 'data', 'audit') });
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+
+  if (args.format === 'csv') out.write(CSV_COLUMNS.join(',') + '\n');
+
+  let count = 0;
+  for (const file of audit.files()) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        console.error(`⚠️ Skipping malformed line in ${file}`);
+        continue;
+      }
+      if (!matches(entry, args)) continue;
+
+      out.write(args.format === 'csv'
+        ? CSV_COLUMNS.map(column => csvValue(entry[column])).join(',') + '\n'
+        : JSON.stringify(entry) + '\n');
+      count++;
+    }
+  }
+
+  if (args.out) {
+    out.end();
+    console.error(`📤 Exported ${count} audit entries to ${args.out}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Audit export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Append-only audit trail of every translation, one JSON object per line:
+//   { timestamp, session, client, clientId, provider, model, targetLang, textHash,
+//     cache: 'hit' | 'miss' | 'shared', latencyMs, outcome: 'ok' | 'low_confidence' | 'error', ... }
+// Source and translated text are only included with logText. audit.log is
+// rotated to audit.log.1, audit.log.2, ... once it reaches maxBytes.
+class AuditLog {
+  constructor({ dir, logText = false, maxBytes = 10 * 1024 * 1024, maxFiles = 10, enabled = true }) {
+    this.dir = dir;
+    this.file = path.join(dir, 'audit.log');
+    this.logText = logText;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.enabled = enabled;
+    this.size = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  static hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  record({ text, translation, ...event }) {
+    if (!this.enabled) return Promise.resolve();
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      ...event,
+      textHash: AuditLog.hash(text),
+      ...(this.logText && { text, translation })
+    };
+    return this.enqueueWrite(() => this.write(JSON.stringify(entry) + '\n'));
+  }
+
+  async write(line) {
+    if (this.size === null) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      this.size = await fs.promises.stat(this.file).then(stat => stat.size, () => 0);
+    }
+
+    if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.file, line);
+    this.size += Buffer.byteLength(line);
+  }
+
+  // audit.log -> audit.log.1 -> audit.log.2 ...; the oldest file beyond maxFiles is dropped
+  async rotate() {
+    await fs.promises.rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${this.file}.${i}`, `${this.file}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(this.file, `${this.file}.1`);
+    this.size = 0;
+  }
+
+  // Every log file, oldest first
+  files() {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.dir).filter(name => /^audit\.log(\.\d+)?$/.test(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const order = name => parseInt(name.split('.')[2] || '0', 10);
+    return names.sort((a, b) => order(b) - order(a)).map(name => path.join(this.dir, name));
+  }
+
+  enqueueWrite(fn) {
+    const result = this.writeChain.then(fn);
+    this.writeChain = result.catch(error => {
+      console.error('❌ Audit log write failed:', error.message);
+    });
+    return result;
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+// Connection checks for the WebSocket server: origin allow-list, signed client
+// tokens and per-client rate limits and daily quotas.
+//
+// A token is <claims>.<signature>, both base64url, signed with HMAC-SHA256:
+//   { sub: 'billing-portal', exp: 1767225600, rate: 600, quota: 50000 }
+// exp is in seconds; rate (strings per minute) and quota (strings per day)
+// override the server defaults for that client.
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+function signToken(claims, secret) {
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${body}.${signature(body, secret)}`;
+}
+
+// Returns the claims, or throws an AuthError
+function verifyToken(token, secret) {
+  const [body, sig, extra] = String(token || '').split('.');
+  if (!body || !sig || extra !== undefined) throw new AuthError('invalid_token', 'Malformed token');
+
+  const expected = Buffer.from(signature(body, secret));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthError('invalid_token', 'Invalid token signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new AuthError('invalid_token', 'Malformed token');
+  }
+  if (!claims || typeof claims !== 'object') throw new AuthError('invalid_token', 'Malformed token');
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    throw new AuthError('token_expired', 'Token expired');
+  }
+  return claims;
+}
+
+function signature(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// Entries are exact origins (https://portal.example.com) or wildcards for
+// subdomains (https://*.example.com). An empty list allows every origin.
+// Requests without an Origin header are not from a browser page and are left
+// to token auth.
+function originAllowed(origin, allowList) {
+  if (allowList.length === 0 || !origin) return true;
+
+  return allowList.some((allowed) => {
+    if (allowed === '*' || allowed === origin) return true;
+    const wildcard = /^(\w+:\/\/)\*\.(.+)$/.exec(allowed);
+    return wildcard !== null && origin.startsWith(wildcard[1]) && origin.endsWith(`.${wildcard[2]}`);
+  });
+}
+
+// Token bucket of strings per minute plus a count of strings per UTC day, per client.
+// A limit of 0 means unlimited.
+class RateLimiter {
+  constructor({ perMinute = 0, perDay = 0, maxClients = 10000 } = {}) {
+    this.perMinute = perMinute;
+    this.perDay = perDay;
+    this.maxClients = maxClients;
+    this.clients = new Map();
+  }
+
+  // Takes up to count strings from the client's allowance. Returns how many
+  // were allowed and, if not all of them, why and when to try again.
+  take(clientId, count, { perMinute = this.perMinute, perDay = this.perDay } = {}) {
+    const now = Date.now();
+    const day = new Date(now).toISOString().substring(0, 10);
+    const state = this.state(clientId, perMinute, now);
+
+    if (perMinute > 0) {
+      state.tokens = Math.min(perMinute, state.tokens + (now - state.updatedAt) * perMinute / 60000);
+    }
+    state.updatedAt = now;
+    if (state.day !== day) {
+      state.day = day;
+      state.used = 0;
+    }
+
+    const byRate = perMinute > 0 ? Math.floor(state.tokens) : count;
+    const byQuota = perDay > 0 ? Math.max(0, perDay - state.used) : count;
+    const allowed = Math.min(count, byRate, byQuota);
+
+    if (perMinute > 0) state.tokens -= allowed;
+    state.used += allowed;
+    if (allowed === count) return { allowed };
+
+    if (byQuota < count && byQuota <= byRate) {
+      const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+      return { allowed, code: 'quota_exceeded', message: `Daily quota of ${perDay} strings used up`, retryAfterMs: midnight - now };
+    }
+    return {
+      allowed,
+      code: 'rate_limited',
+      message: `Rate limit of ${perMinute} strings per minute exceeded`,
+      retryAfterMs: Math.ceil((1 - (state.tokens % 1)) * 60000 / perMinute)
+    };
+  }
+
+  state(clientId, perMinute, now) {
+    let state = this.clients.get(clientId);
+    if (!state) {
+      if (this.clients.size >= this.maxClients) this.prune(now);
+      state = { tokens: perMinute, updatedAt: now, day: null, used: 0 };
+      this.clients.set(clientId, state);
+    }
+    return state;
+  }
+
+  // Forget clients that have been idle for a day
+  prune(now) {
+    for (const [clientId, state] of this.clients) {
+      if (now - state.updatedAt > 24 * 60 * 60 * 1000) this.clients.delete(clientId);
+    }
+  }
+}
+
+module.exports = { AuthError, signToken, verifyToken, originAllowed, RateLimiter };
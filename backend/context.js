@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Context hints the client sends with a string:
+//   { role, heading, label, page, note }
+// role, heading and note (from data-translate-context) can change what a
+// string means, so they are part of the cache key; label (aria-label) and page
+// (document title) only help the model and are not.
+const FIELDS = ['role', 'heading', 'label', 'page', 'note'];
+const KEY_FIELDS = ['role', 'heading', 'note'];
+const MAX_LENGTH = 200;
+
+// Keep only known string fields, trimmed. Returns null when nothing is left.
+function normalize(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const context = {};
+  for (const field of FIELDS) {
+    if (typeof raw[field] !== 'string') continue;
+    const value = raw[field].replace(/\s+/g, ' ').trim().substring(0, MAX_LENGTH);
+    if (value) context[field] = value;
+  }
+  return Object.keys(context).length > 0 ? context : null;
+}
+
+// Same format as contextKey() in the client: '' or {"role":"button","heading":"Medications"}
+function key(context) {
+  if (!context) return '';
+
+  const fields = {};
+  for (const field of KEY_FIELDS) {
+    if (context[field]) fields[field] = context[field];
+  }
+  return Object.keys(fields).length > 0 ? JSON.stringify(fields) : '';
+}
+
+// A context from outside, such as a PO msgctxt, in key() form. Keys we
+// exported come back unchanged; any other text becomes an author note.
+function importKey(value) {
+  if (!value) return '';
+
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return key(normalize(parsed));
+  } catch (e) {
+    // Not JSON, so not one of ours
+  }
+  return key(normalize({ note: value }));
+}
+
+// Same hash as TranslationCache.getHash in the client. profile is the name the
+// client sent, contextKey a key() result.
+function clientHash(text, targetLang, profile = null, contextKey = '') {
+  const parts = [text, targetLang];
+  if (profile) parts.push(profile);
+  if (contextKey) parts.push(contextKey);
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+function describe(context) {
+  const parts = [];
+  if (context.role) parts.push(`a ${context.role}`);
+  if (context.label) parts.push(`labelled "${context.label}"`);
+  if (context.heading) parts.push(`under the heading "${context.heading}"`);
+  if (context.page) parts.push(`on the page "${context.page}"`);
+  if (context.note) parts.push(`(author note: ${context.note})`);
+  return parts.join(' ');
+}
+
+function promptSection(context) {
+  if (!context) return '';
+  return `Context: the text is ${describe(context)}. Use it to pick the right meaning, but translate only the text itself.`;
+}
+
+// Context lines for the entries of a batch prompt, keyed like the batch input
+function batchPromptSection(contexts) {
+  const lines = contexts
+    .map((context, i) => context && `- ${i + 1}: ${describe(context)}`)
+    .filter(Boolean);
+  if (lines.length === 0) return '';
+
+  return `Context for the entries (use it to pick the right meaning, translate only the values):\n${lines.join('\n')}`;
+}
+
+module.exports = { normalize, key, importKey, clientHash, promptSection, batchPromptSection };
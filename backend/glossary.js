@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { baseLanguage } = require('./languages');
+
+// Glossary files live in glossary/<lang>.json, with default.json applied to
+// every language:
+//   { "keep": ["BP", "PRN"], "translate": { "Allergies": "Alergias" } }
+// "keep" terms must appear unchanged in the output, "translate" terms must be
+// rendered with the given translation.
+class Glossary {
+  constructor(dir) {
+    this.dir = dir;
+    this.languages = new Map();
+    this.version = '0';
+    this.load();
+  }
+
+  load() {
+    this.languages.clear();
+    const hash = crypto.createHash('sha256');
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+      const content = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      const data = JSON.parse(content);
+      hash.update(file).update(content);
+
+      this.languages.set(path.basename(file, '.json'), {
+        keep: data.keep || [],
+        translate: data.translate || {}
+      });
+    }
+
+    // Part of the translation memory key, so editing a glossary retires old machine output
+    this.version = hash.digest('hex').substring(0, 8);
+    console.log(`📖 Glossary loaded: ${files.length} file(s), version ${this.version}`);
+  }
+
+  termsFor(targetLang) {
+    const common = this.languages.get('default') || { keep: [], translate: {} };
+    const specific = this.languages.get(baseLanguage(targetLang)) || { keep: [], translate: {} };
+
+    const terms = [];
+    for (const term of new Set([...common.keep, ...specific.keep])) {
+      terms.push({ source: term, target: term, keep: true });
+    }
+    for (const [source, target] of Object.entries({ ...common.translate, ...specific.translate })) {
+      terms.push({ source, target, keep: false });
+    }
+    return terms;
+  }
+
+  // Glossary terms that occur in the text, longest first
+  match(text, targetLang) {
+    return this.termsFor(targetLang)
+      .filter(term => termPattern(term.source, term.keep).test(text))
+      .sort((a, b) => b.source.length - a.source.length);
+  }
+
+  // A string that is exactly a glossary term never needs the LLM
+  exactMatch(text, targetLang) {
+    const trimmed = text.trim().toLowerCase();
+    const term = this.termsFor(targetLang).find(t => t.source.toLowerCase() === trimmed);
+    return term ? term.target : null;
+  }
+
+  static promptSection(terms) {
+    if (terms.length === 0) return '';
+
+    const lines = terms.map(term => term.keep
+      ? `- "${term.source}" -> keep exactly as "${term.source}" (do not translate or transliterate)`
+      : `- "${term.source}" -> "${term.target}"`);
+
+    return `Glossary (mandatory, apply exactly):\n${lines.join('\n')}`;
+  }
+
+  // Terms whose required rendering is missing from the translation, as a
+  // whole word (keep-terms case-sensitively)
+  static violations(translated, terms) {
+    return terms.filter(term => !termPattern(term.target, term.keep).test(translated));
+  }
+
+  // Fix terms the model left in the source language. Only a single whole-word
+  // occurrence is replaced; anything less clear stays a violation, which gets
+  // a retry and otherwise marks the translation low-confidence.
+  static repair(translated, terms) {
+    let repaired = translated;
+    for (const term of Glossary.violations(translated, terms)) {
+      const pattern = termPattern(term.source, term.keep, 'g');
+      if ([...repaired.matchAll(pattern)].length !== 1) continue;
+      repaired = repaired.replace(pattern, (match, before) => before + term.target);
+    }
+    return repaired;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termPattern(term, caseSensitive, flags = '') {
+  const escaped = escapeRegExp(term);
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, (caseSensitive ? 'u' : 'iu') + flags);
+}
+
+module.exports = Glossary;
@@ -0,0 +1,317 @@
+// Translation memory interchange with CAT tools: XLIFF 2.0, gettext PO and
+// TMX 1.4. Entries go out as { key, source, translation, targetLang, context,
+// status, locked, model, promptVersion } and come back in the same shape.
+//
+// Status and context travel in each format's own fields where it has one:
+//   XLIFF  segment state: translated = machine, reviewed, final = reviewed and locked;
+//          context, model and prompt version as <note category="...">
+//   PO     #, fuzzy = machine; context as msgctxt; model and prompt version as #. comments
+//   TMX    <prop type="x-status|x-locked|x-context|x-model|x-prompt-version">
+// On import, inline codes inside segments are dropped and only their text is
+// kept. TMX units without an x-status prop count as reviewed.
+const SOURCE_LANG = 'en';
+const TOOL = 'mie-ollama-translate';
+
+const FORMATS = {
+  xliff: { extension: 'xlf', contentType: 'application/xliff+xml', serialize: toXliff, parse: fromXliff },
+  po: { extension: 'po', contentType: 'text/x-gettext-translation', serialize: toPo, parse: fromPo },
+  tmx: { extension: 'tmx', contentType: 'application/x-tmx+xml', serialize: toTmx, parse: fromTmx }
+};
+
+function getFormat(name) {
+  const format = FORMATS[String(name).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unknown format "${name}", use one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// Guess the format of an uploaded file from its content
+function detectFormat(content) {
+  if (/<xliff\b/.test(content)) return 'xliff';
+  if (/<tmx\b/.test(content)) return 'tmx';
+  if (/^\s*(msgctxt|msgid)\s/m.test(content)) return 'po';
+  return null;
+}
+
+// ========================================
+// XLIFF 2.0
+// ========================================
+
+// XLIFF holds one language pair per file, so targetLang is required
+function toXliff(entries, { targetLang, sourceLang = SOURCE_LANG }) {
+  const units = entries.map((entry) => {
+    const notes = [
+      entry.context && note('context', entry.context),
+      entry.status === 'machine' && entry.model && note('model', entry.model),
+      entry.status === 'machine' && entry.promptVersion && note('prompt-version', entry.promptVersion)
+    ].filter(Boolean);
+    const state = entry.status !== 'reviewed' ? 'translated' : entry.locked ? 'final' : 'reviewed';
+
+    return [
+      `    <unit id="${escapeXml(entry.key)}">`,
+      ...(notes.length ? ['      <notes>', ...notes, '      </notes>'] : []),
+      `      <segment state="${state}">`,
+      `        <source>${escapeXml(entry.source)}</source>`,
+      `        <target>${escapeXml(entry.translation)}</target>`,
+      '      </segment>',
+      '    </unit>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLang)}" trgLang="${escapeXml(targetLang)}">`,
+    `  <file id="${TOOL}">`,
+    ...units,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+function note(category, text) {
+  return `        <note category="${category}">${escapeXml(text)}</note>`;
+}
+
+function fromXliff(content) {
+  const [root] = elements(content, 'xliff');
+  if (!root) throw new Error('Not an XLIFF file');
+  if (!String(root.attrs.version).startsWith('2.')) throw new Error(`XLIFF ${root.attrs.version} is not supported, export XLIFF 2.0`);
+  const targetLang = root.attrs.trgLang;
+  if (!targetLang) throw new Error('XLIFF file has no trgLang');
+
+  return elements(root.body, 'unit').map((unit) => {
+    const notes = {};
+    for (const { attrs, body } of elements(unit.body, 'note')) {
+      if (attrs.category) notes[attrs.category] = text(body);
+    }
+
+    const segments = elements(unit.body, 'segment');
+    const state = segments[0]?.attrs.state || 'initial';
+    const target = segments.map(segment => elements(segment.body, 'target')[0]);
+
+    return {
+      key: unit.attrs.id,
+      source: segments.map(segment => text(elements(segment.body, 'source')[0]?.body)).join(''),
+      translation: target.every(Boolean) ? target.map(t => text(t.body)).join('') : '',
+      targetLang,
+      context: notes.context || '',
+      status: state === 'reviewed' || state === 'final' ? 'reviewed' : 'machine',
+      locked: state === 'final' ? true : undefined,
+      model: notes.model,
+      promptVersion: notes['prompt-version']
+    };
+  });
+}
+
+// ========================================
+// gettext PO
+// ========================================
+
+function toPo(entries, { targetLang }) {
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    poString('Content-Type: text/plain; charset=UTF-8\n'),
+    poString('Content-Transfer-Encoding: 8bit\n'),
+    poString(`Language: ${targetLang}\n`),
+    poString(`X-Generator: ${TOOL}\n`)
+  ].join('\n');
+
+  const blocks = entries.map(entry => [
+    entry.status === 'machine' && entry.model && `#. model: ${entry.model}`,
+    entry.status === 'machine' && entry.promptVersion && `#. prompt-version: ${entry.promptVersion}`,
+    entry.status === 'machine' && '#, fuzzy',
+    entry.context && `msgctxt ${poString(entry.context)}`,
+    `msgid ${poString(entry.source)}`,
+    `msgstr ${poString(entry.translation)}`
+  ].filter(Boolean).join('\n'));
+
+  return [header, ...blocks].join('\n\n') + '\n';
+}
+
+function fromPo(content) {
+  const records = [];
+  let targetLang = null;
+
+  for (const block of content.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+    const fields = {};
+    const comments = {};
+    let flags = [];
+    let field = null;
+
+    for (const line of block.split('\n').map(l => l.trim())) {
+      let match;
+      if (line.startsWith('#~')) {
+        field = null; // Obsolete entry
+      } else if (line.startsWith('#,')) {
+        flags = line.substring(2).split(',').map(flag => flag.trim());
+      } else if ((match = /^#\.\s*([\w-]+):\s*(.*)$/.exec(line))) {
+        comments[match[1]] = match[2];
+      } else if ((match = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[0\])?)\s+(".*")$/.exec(line))) {
+        field = match[1].replace('[0]', '');
+        fields[field] = parsePoString(match[2]);
+      } else if (field && line.startsWith('"')) {
+        fields[field] += parsePoString(line);
+      } else if (!line.startsWith('#')) {
+        field = null; // Other plural forms
+      }
+    }
+
+    if (fields.msgid === undefined) continue;
+    if (fields.msgid === '') {
+      targetLang = /^Language:\s*(\S+)/m.exec(fields.msgstr || '')?.[1] || targetLang;
+      continue;
+    }
+
+    records.push({
+      source: fields.msgid,
+      translation: fields.msgstr || '',
+      context: fields.msgctxt || '',
+      status: flags.includes('fuzzy') ? 'machine' : 'reviewed',
+      model: comments.model,
+      promptVersion: comments['prompt-version']
+    });
+  }
+
+  if (!targetLang) throw new Error('PO file has no Language header');
+  return records.map(record => ({ ...record, targetLang }));
+}
+
+function poString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+function parsePoString(quoted) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+  return quoted.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+}
+
+// ========================================
+// TMX 1.4
+// ========================================
+
+function toTmx(entries, { sourceLang = SOURCE_LANG }) {
+  const units = entries.map((entry) => {
+    const props = [
+      prop('x-status', entry.status),
+      entry.locked && prop('x-locked', 'true'),
+      entry.context && prop('x-context', entry.context),
+      entry.status === 'machine' && entry.model && prop('x-model', entry.model),
+      entry.status === 'machine' && entry.promptVersion && prop('x-prompt-version', entry.promptVersion)
+    ].filter(Boolean);
+
+    return [
+      `    <tu tuid="${escapeXml(entry.key)}">`,
+      ...props,
+      `      <tuv xml:lang="${escapeXml(sourceLang)}"><seg>${escapeXml(entry.source)}</seg></tuv>`,
+      `      <tuv xml:lang="${escapeXml(entry.targetLang)}"><seg>${escapeXml(entry.translation)}</seg></tuv>`,
+      '    </tu>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="${TOOL}" creationtoolversion="1.0.0" segtype="sentence" o-tmf="jsonl" adminlang="en" srclang="${escapeXml(sourceLang)}" datatype="plaintext"/>`,
+    '  <body>',
+    ...units,
+    '  </body>',
+    '</tmx>',
+    ''
+  ].join('\n');
+}
+
+function prop(type, value) {
+  return `      <prop type="${type}">${escapeXml(value)}</prop>`;
+}
+
+// One record per target language variant of each <tu>
+function fromTmx(content) {
+  const [root] = elements(content, 'tmx');
+  if (!root) throw new Error('Not a TMX file');
+  const header = elements(root.body, 'header')[0];
+  const sourceLang = (header?.attrs.srclang || SOURCE_LANG).toLowerCase();
+  const isSource = lang => lang === sourceLang || lang.startsWith(`${sourceLang}-`);
+
+  return elements(root.body, 'tu').flatMap((tu) => {
+    const props = {};
+    for (const { attrs, body } of elements(tu.body, 'prop')) props[attrs.type] = text(body);
+
+    const variants = elements(tu.body, 'tuv').map(tuv => ({
+      lang: tuv.attrs['xml:lang'] || tuv.attrs.lang || '',
+      text: text(elements(tuv.body, 'seg')[0]?.body)
+    }));
+    const source = variants.find(variant => isSource(variant.lang.toLowerCase()));
+    if (!source) return [];
+
+    return variants.filter(variant => variant !== source).map(variant => ({
+      key: tu.attrs.tuid,
+      source: source.text,
+      translation: variant.text,
+      targetLang: variant.lang,
+      context: props['x-context'] || '',
+      status: props['x-status'] === 'machine' ? 'machine' : 'reviewed',
+      locked: props['x-locked'] !== undefined ? props['x-locked'] === 'true' : undefined,
+      model: props['x-model'],
+      promptVersion: props['x-prompt-version']
+    }));
+  });
+}
+
+// ========================================
+// XML helpers
+// ========================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Direct matches of <tag ...>...</tag> or <tag .../>; enough for the flat
+// structure of these formats, where the elements we read do not nest in themselves
+function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}((?:\\s[^>]*?)?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  return [...(xml || '').matchAll(pattern)].map(match => ({ attrs: attributes(match[1]), body: match[2] || '' }));
+}
+
+function attributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+// Element content as plain text: CDATA kept, inline tags dropped along with
+// TMX native codes (<bpt>, <ph>, ...), entities decoded
+function text(body) {
+  if (!body) return '';
+  return body
+    .replace(/<(bpt|ept|it|ph|ut)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeXml(part.replace(/<[^>]*>/g, '')))
+    .join('');
+}
+
+function decodeXml(value) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10));
+    }
+    return named[entity] ?? match;
+  });
+}
+
+module.exports = { FORMATS, getFormat, detectFormat };
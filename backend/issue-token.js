@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Issue a client token for the WebSocket server, signed with AUTH_SECRET.
+//
+//   npm run token -- --client billing-portal --days 30 --rate 600 --quota 50000
+//
+// Options:
+//   --client   name the client is rate limited and audited under (required)
+//   --days     lifetime in days, 0 for a token that does not expire (default 30)
+//   --rate     strings per minute, overrides RATE_LIMIT_PER_MINUTE
+//   --quota    strings per day, overrides DAILY_QUOTA
+require('dotenv').config({ quiet: true });
+const { signToken } = require('./auth');
+
+function parseArgs(argv) {
+  const args = { days: '30' };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(\w+)$/.exec(argv[i]);
+    if (!match || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    args[match[1]] = argv[++i];
+  }
+  if (!args.client) throw new Error('--client is required');
+  return args;
+}
+
+function number(args, name) {
+  const value = Number(args[name]);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`--${name} must be a non-negative number`);
+  return value;
+}
+
+try {
+  if (!process.env.AUTH_SECRET) throw new Error('AUTH_SECRET is not set');
+
+  const args = parseArgs(process.argv.slice(2));
+  const days = number(args, 'days');
+  const claims = {
+    sub: args.client,
+    ...(days > 0 && { exp: Math.floor(Date.now() / 1000) + Math.round(days * 24 * 60 * 60) }),
+    ...(args.rate !== undefined && { rate: number(args, 'rate') }),
+    ...(args.quota !== undefined && { quota: number(args, 'quota') })
+  };
+
+  console.log(signToken(claims, process.env.AUTH_SECRET));
+} catch (error) {
+  console.error('❌ Token not issued:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,60 @@
+// Helpers for the free-form language codes clients send ("es", "te(telugu)", "pt-BR")
+
+// Unicode script each language is written in, for validating model output
+const SCRIPTS = {
+  Latin: ['af', 'ca', 'cs', 'cy', 'da', 'de', 'en', 'es', 'et', 'fi', 'fil', 'fr', 'ga', 'hr', 'ht', 'hu', 'id', 'is', 'it', 'lt', 'lv', 'ms', 'mt', 'nl', 'no', 'pl', 'pt', 'ro', 'sk', 'sl', 'so', 'sq', 'sv', 'sw', 'tl', 'tr', 'vi', 'yo', 'zu'],
+  Telugu: ['te'],
+  Devanagari: ['hi', 'mr', 'ne', 'sa'],
+  Tamil: ['ta'],
+  Kannada: ['kn'],
+  Malayalam: ['ml'],
+  Bengali: ['bn', 'as'],
+  Gujarati: ['gu'],
+  Gurmukhi: ['pa'],
+  Oriya: ['or'],
+  Arabic: ['ar', 'fa', 'ps', 'ur'],
+  Hebrew: ['he', 'yi'],
+  Cyrillic: ['be', 'bg', 'kk', 'mk', 'mn', 'ru', 'sr', 'uk'],
+  Greek: ['el'],
+  Armenian: ['hy'],
+  Georgian: ['ka'],
+  Ethiopic: ['am', 'ti'],
+  Thai: ['th'],
+  Khmer: ['km'],
+  Lao: ['lo'],
+  Myanmar: ['my'],
+  Hangul: ['ko'],
+  Han: ['zh'],
+  // Japanese mixes kana with kanji, either counts
+  'Hiragana|Katakana|Han': ['ja']
+};
+
+// "te(telugu)" -> "te", "pt-BR" -> "pt"
+function baseLanguage(targetLang) {
+  const match = /^[a-z]{2,3}/i.exec(targetLang || '');
+  return match ? match[0].toLowerCase() : '';
+}
+
+// Regex matching one letter of the language's script, or null if unknown
+function scriptPattern(targetLang) {
+  const lang = baseLanguage(targetLang);
+  const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].includes(lang));
+  if (!script) return null;
+
+  return new RegExp(script.split('|').map(name => `\\p{Script=${name}}`).join('|'), 'u');
+}
+
+function scriptName(targetLang) {
+  const lang = baseLanguage(targetLang);
+  return Object.keys(SCRIPTS).find(name => SCRIPTS[name].includes(lang))?.replace(/\|/g, '/') || null;
+}
+
+// Every code with a known script, for GET /languages. Clients may send any
+// other code too, the output just cannot be checked for the right script.
+function knownLanguages() {
+  return Object.entries(SCRIPTS)
+    .flatMap(([script, codes]) => codes.map(code => ({ code, script: script.replace(/\|/g, '/') })))
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+module.exports = { baseLanguage, scriptPattern, scriptName, knownLanguages };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+// Finds protected health information in a string and swaps it for {phi_n}
+// placeholders, which the placeholder protection keeps intact through
+// translation. Detected: SSNs, MRNs (after a label such as "MRN:"), phone
+// numbers and names from a configurable list. The client masks the same
+// way, so text usually arrives masked already; numbering continues after
+// the placeholders that are there.
+const DEFAULT_MRN_PATTERN = '(?<=\\b(?:MRN|Medical Record (?:Number|No\\.?)|Patient ID)[:#]?\\s*)[A-Z0-9-]*\\d[A-Z0-9-]{3,}\\b';
+
+const PATTERNS = {
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/.source,
+  phone: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b/.source
+};
+
+const TOKEN_PATTERN = /\{phi_(\d+)\}/g;
+
+class PhiDetector {
+  constructor({ names = [], mrnPattern = DEFAULT_MRN_PATTERN } = {}) {
+    const sources = [`(?<ssn>${PATTERNS.ssn})`, `(?<mrn>${mrnPattern})`, `(?<phone>${PATTERNS.phone})`];
+
+    const sorted = [...new Set(names.map(name => name.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+    if (sorted.length > 0) {
+      sources.push(`(?<name>(?<![\\p{L}\\p{N}])(?:${sorted.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}]))`);
+    }
+
+    this.pattern = new RegExp(sources.join('|'), 'giu');
+    this.nameCount = sorted.length;
+  }
+
+  // Names from a JSON array or a plain list with one name per line
+  static loadNames(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    return content.trim().startsWith('[') ? JSON.parse(content) : content.split('\n');
+  }
+
+  detect(text) {
+    return [...text.matchAll(this.pattern)].map(match => ({
+      type: Object.keys(match.groups).find(group => match.groups[group] !== undefined),
+      value: match[0],
+      index: match.index
+    }));
+  }
+
+  // Returns the masked text and the masked values by placeholder number
+  mask(text) {
+    let next = Math.max(0, ...[...text.matchAll(TOKEN_PATTERN)].map(match => parseInt(match[1], 10))) + 1;
+    const entities = {};
+
+    const masked = text.replace(this.pattern, (value) => {
+      const number = next++;
+      entities[number] = value;
+      return `{phi_${number}}`;
+    });
+    return { text: masked, entities };
+  }
+
+  // Put masked values back. Placeholders that are not ours (from the client) stay as they are.
+  static unmask(text, entities) {
+    if (!entities || Object.keys(entities).length === 0) return text;
+    return text.replace(TOKEN_PATTERN, (token, number) => entities[number] ?? token);
+  }
+
+  static isMasked(text) {
+    return /\{phi_\d+\}/.test(text);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = PhiDetector;
@@ -0,0 +1,79 @@
+// Protects parts of a string the model must not touch by swapping them for
+// opaque tokens before translation and putting them back afterwards:
+//   - inline markup, both real tags (<b>, </a>) and the numbered markers the
+//     client uses for inline children (<0>, </0>, <1/>)
+//   - interpolation placeholders: {name}, {{name}}, ${name}, %s, %d, %1$s, %(name)s
+//   - numbers, so doses and counts can never be rewritten
+const PROTECTED_PATTERN = new RegExp([
+  /<\/?[a-zA-Z0-9][^<>]*>/.source,
+  /\{\{[^{}]+\}\}/.source,
+  /\$\{[^{}]+\}/.source,
+  /\{[a-zA-Z0-9_.,\s]+\}/.source,
+  /%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?[sdifuxXeEgGc]/.source,
+  /%\([a-zA-Z0-9_]+\)[sdif]/.source,
+  /\d+(?:[.,:/]\d+)*/.source
+].join('|'), 'g');
+
+const TOKEN_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+const PROMPT_NOTE = 'Tokens like ⟦1⟧ stand for markup, placeholders or numbers. Keep every token exactly once and unchanged; you may move them to match the word order of the translation.';
+
+function token(index) {
+  return `⟦${index}⟧`;
+}
+
+function protect(text) {
+  const tokens = [];
+  const masked = text.replace(PROTECTED_PATTERN, (value) => {
+    tokens.push(value);
+    return token(tokens.length);
+  });
+  return { text: masked, tokens };
+}
+
+// Put the protected values back. Returns null when a token was dropped,
+// duplicated or invented, or when a closing tag ends up before its opening tag.
+function restore(translated, tokens) {
+  if (tokens.length === 0) return translated;
+
+  const seen = new Map();
+  for (const match of translated.matchAll(TOKEN_PATTERN)) {
+    const index = parseInt(match[1], 10);
+    if (index < 1 || index > tokens.length || seen.has(index)) return null;
+    seen.set(index, match.index);
+  }
+  if (seen.size !== tokens.length) return null;
+
+  if (!tagsInOrder(tokens, seen)) return null;
+
+  return translated.replace(TOKEN_PATTERN, (match, index) => tokens[parseInt(index, 10) - 1]);
+}
+
+// Best-effort restore for text that is still being generated: known tokens are
+// replaced and a token cut off at the end is hidden until it completes.
+function restorePartial(partial, tokens) {
+  return partial
+    .replace(/⟦\s*\d*\s*$/, '')
+    .replace(TOKEN_PATTERN, (match, index) => tokens[parseInt(index, 10) - 1] ?? '');
+}
+
+function tagsInOrder(tokens, positions) {
+  const openTags = new Map();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tag = /^<(\/?)([a-zA-Z0-9]+)[^<>]*?(\/?)>$/.exec(tokens[i]);
+    if (!tag || tag[3]) continue;
+
+    const [, closing, name] = tag;
+    if (!closing) {
+      if (!openTags.has(name)) openTags.set(name, []);
+      openTags.get(name).push(positions.get(i + 1));
+    } else {
+      const opened = openTags.get(name)?.shift();
+      if (opened !== undefined && opened > positions.get(i + 1)) return false;
+    }
+  }
+  return true;
+}
+
+module.exports = { protect, restore, restorePartial, PROMPT_NOTE };
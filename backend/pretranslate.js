@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Pre-translate static pages or a list of strings into JSON bundles that the
+// client loads before it falls back to the socket (CONFIG.BUNDLE_URL).
+//
+//   npm run pretranslate -- --langs es,hi --out ../examples/bundles ../examples/*.html
+//   npm run pretranslate -- --langs es --strings strings.txt
+//
+// Pages are loaded into jsdom with frontend/main.js, so the strings, context
+// and hashes are exactly what the client would send (page scripts are not
+// run). jsdom is a dev dependency, only needed for HTML files. Translations
+// come from a running backend's POST /translate, so they go through, and
+// fill, its translation memory.
+//
+// Options:
+//   --langs     comma-separated target languages (required)
+//   --strings   file with one string per line, or a JSON array
+//   --profile   prompt profile, must match CONFIG.PROFILE on the pages
+//   --server    backend URL (default http://localhost:$PORT)
+//   --token     client token if the backend sets AUTH_SECRET (default $AUTH_TOKEN)
+//   --out       output directory (default bundles)
+//
+// Writes <out>/<lang>.json, { version, language, profile, createdAt, count,
+// translations: { <hash>: <translation> } }, and <out>/manifest.json with the
+// version of each bundle. Strings with PHI and low-confidence translations
+// are left out.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config({ quiet: true });
+const { request } = require('./providers/http');
+const { clientHash } = require('./context');
+
+const CLIENT_SCRIPT = path.join(__dirname, '..', 'frontend', 'main.js');
+const CHUNK_SIZE = 100; // Strings per POST /translate
+const SCAN_WAIT_MS = 300; // Time for the client to scan the page and flush its queue
+
+function parseArgs(argv) {
+  const args = { files: [], out: 'bundles', server: `http://localhost:${process.env.PORT || 8080}`, token: process.env.AUTH_TOKEN };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(\w+)$/.exec(argv[i]);
+    if (!match) {
+      args.files.push(argv[i]);
+      continue;
+    }
+    if (argv[i + 1] === undefined) throw new Error(`Missing value for ${argv[i]}`);
+    args[match[1]] = argv[++i];
+  }
+
+  args.langs = (args.langs || '').split(',').map(lang => lang.trim()).filter(Boolean);
+  if (args.langs.length === 0) throw new Error('--langs is required');
+  const unsafe = args.langs.find(lang => !/^[\w()-]+$/.test(lang));
+  if (unsafe) throw new Error(`Language "${unsafe}" cannot be used as a file name`);
+  if (args.files.length === 0 && !args.strings) throw new Error('Give HTML files, --strings or both');
+  return args;
+}
+
+function loadStrings(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const list = content.trim().startsWith('[') ? JSON.parse(content) : content.split('\n');
+  return list.map(text => String(text).trim()).filter(Boolean);
+}
+
+// Everything the client would send for a page: [{ text, hash, context }]
+async function collectPage(file, lang, profile) {
+  const { JSDOM, VirtualConsole } = loadJsdom();
+
+  const html = fs.readFileSync(file, 'utf8').replace(/<script[\s\S]*?<\/script>/gi, '');
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/', virtualConsole: new VirtualConsole() });
+  const { window } = dom;
+  window.crypto.subtle = crypto.webcrypto.subtle;
+  window.TextEncoder = TextEncoder;
+
+  // Stand-in socket that records the translation requests
+  const requests = [];
+  window.WebSocket = class {
+    constructor() {
+      setTimeout(() => this.onopen?.(), 0);
+    }
+
+    send(message) {
+      const data = JSON.parse(message);
+      if (data.type === 'translation_request') requests.push(data);
+    }
+
+    close() {}
+  };
+
+  try {
+    window.eval(fs.readFileSync(CLIENT_SCRIPT, 'utf8'));
+    await sleep(SCAN_WAIT_MS);
+    if (profile) await window.translationSystem.setProfile(profile);
+
+    // Rescan in the target language; only these requests count
+    requests.length = 0;
+    await window.translationSystem.setLanguage(lang);
+    await sleep(SCAN_WAIT_MS);
+
+    return requests.flatMap(data => data.payload).filter(item => !item.phi);
+  } finally {
+    window.close();
+  }
+}
+
+async function translate(args, items, lang) {
+  const translations = {};
+  let skipped = 0;
+
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    const chunk = items.slice(i, i + CHUNK_SIZE);
+    const response = await request(`${args.server.replace(/\/$/, '')}/translate`, {
+      method: 'POST',
+      headers: args.token ? { Authorization: `Bearer ${args.token}` } : {},
+      body: {
+        texts: chunk.map(item => item.text),
+        contexts: chunk.map(item => item.context || null),
+        targetLang: lang,
+        ...(args.profile && { profile: args.profile })
+      },
+      timeout: 10 * 60 * 1000
+    });
+
+    response.translations.forEach((result, j) => {
+      if (result.translation === undefined || result.lowConfidence) {
+        skipped++;
+        return;
+      }
+      translations[chunk[j].hash] = result.translation;
+    });
+    console.log(`   ${lang}: ${Math.min(i + CHUNK_SIZE, items.length)}/${items.length}`);
+  }
+
+  return { translations, skipped };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const strings = args.strings ? loadStrings(args.strings) : [];
+  fs.mkdirSync(args.out, { recursive: true });
+
+  const manifest = { createdAt: new Date().toISOString(), profile: args.profile || null, bundles: {} };
+
+  for (const lang of args.langs) {
+    // One entry per hash: the same string in the same context is translated once
+    const items = new Map();
+    for (const file of args.files) {
+      for (const item of await collectPage(file, lang, args.profile)) items.set(item.hash, item);
+    }
+    for (const text of strings) {
+      const hash = clientHash(text, lang, args.profile);
+      if (!items.has(hash)) items.set(hash, { text, hash });
+    }
+
+    console.log(`🌐 Translating ${items.size} strings -> ${lang}...`);
+    const { translations, skipped } = await translate(args, [...items.values()], lang);
+
+    const content = JSON.stringify(translations);
+    const bundle = {
+      version: crypto.createHash('sha256').update(content).digest('hex').substring(0, 8),
+      language: lang,
+      profile: args.profile || null,
+      createdAt: manifest.createdAt,
+      count: Object.keys(translations).length,
+      translations
+    };
+
+    const file = `${lang}.json`;
+    fs.writeFileSync(path.join(args.out, file), JSON.stringify(bundle, null, 2) + '\n');
+    manifest.bundles[lang] = { file, version: bundle.version, count: bundle.count };
+    console.log(`📦 Wrote ${file} (${bundle.count} translations, version ${bundle.version}${skipped ? `, ${skipped} left out` : ''})`);
+  }
+
+  fs.writeFileSync(path.join(args.out, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+function loadJsdom() {
+  try {
+    return require('jsdom');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('Pre-translating HTML files needs jsdom, run `npm install` without --omit=dev (or use --strings only)');
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+main().catch((error) => {
+  console.error('❌ Pre-translation failed:', error.message);
+  process.exit(1);
+});
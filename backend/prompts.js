@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prompts shared by every LLM provider, rendered from prompt profiles.
+//
+// A profile is a JSON file in profiles/<name>.json:
+//   {
+//     "extends": "default",
+//     "variables": { "domain": "...", "register": "formal", "readingLevel": "plain-language" },
+//     "systemMessage": "...", "instructions": ["..."], "translate": "...", "batch": "..."
+//   }
+// Fields missing from a profile are taken from the profile it extends.
+// Templates use {{name}} variables: the profile variables plus language,
+// instructions and extra, and text (translate) or input (batch).
+class PromptProfiles {
+  constructor(dir) {
+    this.dir = dir;
+    this.profiles = new Map();
+    this.load();
+  }
+
+  load() {
+    const raw = new Map();
+    for (const file of fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort()) {
+      raw.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')));
+    }
+
+    this.profiles.clear();
+    for (const name of raw.keys()) {
+      this.profiles.set(name, resolveProfile(name, raw));
+    }
+
+    if (!this.profiles.has('default')) {
+      throw new Error(`No default prompt profile in ${this.dir}`);
+    }
+    console.log(`📝 Prompt profiles loaded: ${[...this.profiles.values()].map(p => p.id).join(', ')}`);
+  }
+
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  names() {
+    return [...this.profiles.keys()];
+  }
+}
+
+function resolveProfile(name, raw, seen = new Set()) {
+  if (seen.has(name)) throw new Error(`Prompt profile "${name}" extends itself`);
+  seen.add(name);
+
+  const data = raw.get(name);
+  if (!data) throw new Error(`Unknown prompt profile "${name}"`);
+
+  const base = data.extends ? resolveProfile(data.extends, raw, seen) : {};
+  const profile = {
+    name,
+    description: data.description ?? base.description ?? '',
+    variables: { ...base.variables, ...data.variables },
+    systemMessage: data.systemMessage ?? base.systemMessage,
+    instructions: data.instructions ?? base.instructions ?? [],
+    translate: data.translate ?? base.translate,
+    batch: data.batch ?? base.batch
+  };
+
+  for (const field of ['systemMessage', 'translate', 'batch']) {
+    if (typeof profile[field] !== 'string') {
+      throw new Error(`Prompt profile "${name}" has no "${field}" template`);
+    }
+  }
+
+  // Part of the translation memory key, so editing a profile retires its old machine output
+  const { description, ...templates } = profile;
+  profile.version = crypto.createHash('sha256').update(JSON.stringify(templates)).digest('hex').substring(0, 8);
+  profile.id = `${name}@${profile.version}`;
+  return profile;
+}
+
+// Used when a provider is called without a profile
+const DEFAULT_PROFILE = resolveProfile('default', new Map([['default', require('./profiles/default.json')]]));
+
+// Single pass, so {{...}} inside the substituted text is left alone
+function render(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => variables[name] ?? '');
+}
+
+function instructionsSection(profile) {
+  if (profile.instructions.length === 0) return '';
+  const lines = profile.instructions.map(line => `- ${render(line, profile.variables)}`);
+  return `Instructions:\n${lines.join('\n')}`;
+}
+
+function systemMessage(profile = DEFAULT_PROFILE) {
+  return render(profile.systemMessage, profile.variables);
+}
+
+function translationPrompt(text, targetLang, instructions = '', profile = DEFAULT_PROFILE) {
+  return render(profile.translate, {
+    ...profile.variables,
+    language: targetLang,
+    text,
+    instructions: instructionsSection(profile),
+    extra: instructions
+  });
+}
+
+function batchPrompt(texts, targetLang, instructions = '', profile = DEFAULT_PROFILE) {
+  const input = {};
+  texts.forEach((text, i) => {
+    input[i + 1] = text;
+  });
+
+  return render(profile.batch, {
+    ...profile.variables,
+    language: targetLang,
+    input: JSON.stringify(input, null, 2),
+    instructions: instructionsSection(profile),
+    extra: instructions
+  });
+}
+
+// Maps a batch response back to the input order, null for missing entries
+function parseBatchResponse(response, count) {
+  const results = new Array(count).fill(null);
+  if (!response) return results;
+
+  // Models like to wrap JSON in code fences or prose, so only keep the object
+  const start = response.indexOf('{');
+  const end = response.lastIndexOf('}');
+  if (start === -1 || end <= start) return results;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(response.slice(start, end + 1));
+  } catch (e) {
+    console.error(`⚠️ Malformed batch response: ${e.message}`);
+    return results;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return results;
+
+  return results.map((empty, i) => {
+    const value = parsed[i + 1];
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  });
+}
+
+module.exports = {
+  PromptProfiles,
+  DEFAULT_PROFILE,
+  systemMessage,
+  translationPrompt,
+  batchPrompt,
+  parseBatchResponse
+};
@@ -0,0 +1,45 @@
+const LLMProvider = require('./llm');
+const { request } = require('./http');
+
+class BlueHiveProvider extends LLMProvider {
+  constructor({ url = 'https://ai.bluehive.com/api/v1/completion', apiKey, timeout } = {}) {
+    super({ url, timeout });
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async complete(prompt, { systemMessage } = {}) {
+    console.log(`🤖 Calling Ozwell AI API...`);
+
+    const jsonData = await request(this.url, {
+      method: 'POST',
+      timeout: this.timeout,
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      body: { prompt, systemMessage }
+    }).catch((error) => {
+      const wrapped = new Error(`BlueHive AI API error: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    });
+
+    // Handle different response structures if needed, but prioritizing the user's structure
+    return jsonData?.choices?.[0]?.message?.content?.trim() ||
+      jsonData?.choices?.[0]?.text?.trim() ||
+      jsonData?.text?.trim() ||
+      '';
+  }
+
+  // BlueHive has no health endpoint, so only check that we can authenticate at all
+  async health() {
+    return this.apiKey
+      ? { ok: true, detail: 'API key configured' }
+      : { ok: false, detail: 'BLUEHIVE_API_KEY is not set' };
+  }
+
+  modelInfo() {
+    return { provider: 'bluehive', model: 'bluehive', id: 'bluehive', local: false };
+  }
+}
+
+module.exports = BlueHiveProvider;
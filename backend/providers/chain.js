@@ -0,0 +1,156 @@
+// Ordered provider chain with retries, exponential backoff and a circuit
+// breaker per provider. It implements the provider interface itself, so the
+// server does not care whether it talks to one engine or several.
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  // Closed and half-open breakers let calls through; a half-open one gets a
+  // single trial call that either closes or re-opens it.
+  canRequest() {
+    const state = this.state;
+    if (state === 'open') return false;
+    if (state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.trialInFlight = false;
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+class ProviderChain {
+  constructor(providers, { retries = 2, backoffMs = 500, failureThreshold, resetTimeoutMs } = {}) {
+    if (providers.length === 0) throw new Error('ProviderChain needs at least one provider');
+
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.links = providers.map(provider => ({
+      provider,
+      label: label(provider),
+      breaker: new CircuitBreaker({ failureThreshold, resetTimeoutMs })
+    }));
+  }
+
+  // With options.localOnly, providers that send text off-site are skipped
+  translate(text, targetLang, options = {}) {
+    return this.run(provider => provider.translate(text, targetLang, options), options);
+  }
+
+  batchTranslate(texts, targetLang, options = {}) {
+    return this.run(provider => provider.batchTranslate(texts, targetLang, options), options);
+  }
+
+  // Run the call against each provider in order until one succeeds.
+  // onProvider is told which provider answered, for the audit log.
+  async run(call, { localOnly = false, onProvider } = {}) {
+    const errors = [];
+
+    for (const { provider, label: id, breaker } of this.links) {
+      if (localOnly && !provider.modelInfo().local) {
+        errors.push(`${id}: not local`);
+        continue;
+      }
+      if (!breaker.canRequest()) {
+        errors.push(`${id}: circuit open`);
+        continue;
+      }
+
+      for (let attempt = 0; attempt <= this.retries; attempt++) {
+        try {
+          const result = await call(provider);
+          breaker.recordSuccess();
+          onProvider?.({ ...provider.modelInfo(), id });
+          return result;
+        } catch (error) {
+          breaker.recordFailure();
+          console.error(`⚠️ ${id} failed (attempt ${attempt + 1}/${this.retries + 1}):`, error.message);
+
+          if (!isRetryable(error) || !breaker.canRequest() || attempt === this.retries) {
+            errors.push(`${id}: ${error.message}`);
+            break;
+          }
+          await sleep(this.backoffMs * 2 ** attempt + Math.random() * this.backoffMs);
+        }
+      }
+
+      if (breaker.state === 'open') {
+        console.warn(`🔌 Circuit opened for ${id}, failing over`);
+      }
+    }
+
+    throw new Error(`All translation providers failed: ${errors.join('; ')}`);
+  }
+
+  async health() {
+    const providers = await Promise.all(this.links.map(async ({ provider, label: id, breaker }) => ({
+      ...provider.modelInfo(),
+      id,
+      ...(await provider.health()),
+      circuit: breaker.state
+    })));
+
+    return {
+      ok: providers.some(p => p.ok && p.circuit !== 'open'),
+      detail: providers.map(p => `${p.id} ${p.ok ? 'up' : 'down'} (circuit ${p.circuit})`).join(', '),
+      providers
+    };
+  }
+
+  // Cache entries are keyed by the primary provider, it answers almost every request.
+  // Text only counts as local when no provider in the chain can send it off-site.
+  modelInfo() {
+    const primary = this.links[0].provider.modelInfo();
+    return { ...primary, local: this.links.every(({ provider }) => provider.modelInfo().local) };
+  }
+
+  stats() {
+    return this.links.map(({ label: id, breaker }) => ({
+      id,
+      circuit: breaker.state,
+      failures: breaker.failures
+    }));
+  }
+}
+
+// "ollama:llama3@gpu2:11434", so two hosts serving the same model can be told apart
+function label(provider) {
+  const { id } = provider.modelInfo();
+  const url = provider.url || provider.baseUrl;
+  return url ? `${id}@${new URL(url).host}` : id;
+}
+
+// Client errors other than rate limiting will fail the same way on every retry
+function isRetryable(error) {
+  return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { ProviderChain, CircuitBreaker };
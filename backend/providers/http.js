@@ -0,0 +1,83 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON-over-HTTP client shared by the providers. With onLine the
+// response body is treated as NDJSON and every line is handed over as it
+// arrives instead of being parsed at the end.
+function request(url, { method = 'GET', headers = {}, body, timeout = 60000, onLine } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const data = body === undefined ? null : JSON.stringify(body);
+
+  const options = {
+    method,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(data && { 'Content-Length': Buffer.byteLength(data) }),
+      ...headers
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, options, (res) => {
+      const ok = res.statusCode >= 200 && res.statusCode < 300;
+      let responseData = '';
+      let buffered = '';
+
+      res.on('data', (chunk) => {
+        if (!onLine || !ok) {
+          responseData += chunk;
+          return;
+        }
+
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.filter(line => line.trim()).forEach(onLine);
+      });
+
+      res.on('end', () => {
+        if (!ok) {
+          const error = new Error(`HTTP ${res.statusCode} from ${target.host}\n${responseData}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        } else if (onLine) {
+          if (buffered.trim()) onLine(buffered);
+          resolve(null);
+        } else {
+          try {
+            resolve(responseData ? JSON.parse(responseData) : null);
+          } catch (e) {
+            reject(new Error(`Failed to parse response from ${target.host}: ${e.message}\n${responseData}`));
+          }
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (data) req.write(data);
+    req.end();
+  });
+}
+
+// True for loopback and private network hosts, i.e. text never leaves our infrastructure
+function isLocalUrl(url) {
+  const { hostname } = new URL(url);
+  return hostname === 'localhost' ||
+    hostname === '[::1]' ||
+    hostname.endsWith('.local') ||
+    /^127\./.test(hostname) ||
+    /^10\./.test(hostname) ||
+    /^192\.168\./.test(hostname) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(hostname);
+}
+
+module.exports = { request, isLocalUrl };
@@ -0,0 +1,72 @@
+const OllamaProvider = require('./ollama');
+const BlueHiveProvider = require('./bluehive');
+const OpenAICompatibleProvider = require('./openai');
+const LibreTranslateProvider = require('./libretranslate');
+const { ProviderChain } = require('./chain');
+const fs = require('fs');
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  bluehive: BlueHiveProvider,
+  openai: OpenAICompatibleProvider,
+  libretranslate: LibreTranslateProvider
+};
+
+// Provider options from the environment, see the README for the variables
+function optionsFromEnv(type, env = process.env) {
+  const timeout = parseInt(env.PROVIDER_TIMEOUT_MS, 10) || 60000;
+
+  switch (type) {
+    case 'ollama':
+      return { url: env.OLLAMA_URL, model: env.OLLAMA_MODEL, timeout };
+    case 'bluehive':
+      return { url: env.BLUEHIVE_URL, apiKey: env.BLUEHIVE_API_KEY || env.AI_API_KEY, timeout };
+    case 'openai':
+      return { baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL, timeout };
+    case 'libretranslate':
+      return { url: env.LIBRETRANSLATE_URL, apiKey: env.LIBRETRANSLATE_API_KEY, timeout };
+    default:
+      return {};
+  }
+}
+
+function createProvider(type, options = optionsFromEnv(type)) {
+  const Provider = PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown translation provider "${type}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Unset options fall back to the provider defaults
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return new Provider(defined);
+}
+
+// The ordered provider chain, from the first of:
+//   PROVIDERS_FILE         JSON array of { "type": "ollama", "url": "...", "model": "..." }
+//   TRANSLATION_PROVIDERS  comma-separated "type" or "type@url", e.g. "ollama,ollama@http://gpu2:11434,bluehive"
+//   TRANSLATION_PROVIDER   a single provider type
+function createProviderChain(env = process.env) {
+  let configs;
+
+  if (env.PROVIDERS_FILE) {
+    configs = JSON.parse(fs.readFileSync(env.PROVIDERS_FILE, 'utf8'))
+      .map(({ type, ...options }) => ({ type, options: { ...optionsFromEnv(type, env), ...options } }));
+  } else {
+    const list = env.TRANSLATION_PROVIDERS || env.TRANSLATION_PROVIDER || 'bluehive';
+    configs = list.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+      const [type, url] = entry.split('@');
+      const options = optionsFromEnv(type, env);
+      if (url) options[type === 'openai' ? 'baseUrl' : 'url'] = url;
+      return { type, options };
+    });
+  }
+
+  return new ProviderChain(configs.map(({ type, options }) => createProvider(type, options)), {
+    retries: parseInt(env.PROVIDER_RETRIES, 10) >= 0 ? parseInt(env.PROVIDER_RETRIES, 10) : 2,
+    backoffMs: parseInt(env.PROVIDER_BACKOFF_MS, 10) || 500,
+    failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    resetTimeoutMs: parseInt(env.CIRCUIT_RESET_MS, 10) || 30000
+  });
+}
+
+module.exports = { createProvider, createProviderChain, optionsFromEnv, PROVIDERS };
@@ -0,0 +1,53 @@
+const { request, isLocalUrl } = require('./http');
+const { baseLanguage } = require('../languages');
+
+// LibreTranslate is a dedicated MT engine rather than an LLM: it takes no
+// prompt, so glossary and domain instructions are ignored, and it translates
+// arrays of strings natively.
+class LibreTranslateProvider {
+  constructor({ url = 'http://localhost:5000', apiKey, local, timeout } = {}) {
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.local = local ?? isLocalUrl(this.url);
+    this.timeout = timeout;
+  }
+
+  async translate(text, targetLang) {
+    const [translation] = await this.batchTranslate([text], targetLang);
+    return translation || text;
+  }
+
+  async batchTranslate(texts, targetLang) {
+    console.log(`🌍 Calling LibreTranslate (${texts.length} item(s))...`);
+
+    const { translatedText } = await request(`${this.url}/translate`, {
+      method: 'POST',
+      timeout: this.timeout,
+      body: {
+        q: texts,
+        source: 'en',
+        target: baseLanguage(targetLang),
+        format: 'text',
+        ...(this.apiKey && { api_key: this.apiKey })
+      }
+    });
+
+    const translations = Array.isArray(translatedText) ? translatedText : [translatedText];
+    return texts.map((text, i) => translations[i]?.trim() || null);
+  }
+
+  async health() {
+    try {
+      const languages = await request(`${this.url}/languages`, { timeout: 5000 });
+      return { ok: true, detail: `${languages.length} language(s) available` };
+    } catch (error) {
+      return { ok: false, detail: error.message };
+    }
+  }
+
+  modelInfo() {
+    return { provider: 'libretranslate', model: 'libretranslate', id: 'libretranslate', local: this.local };
+  }
+}
+
+module.exports = LibreTranslateProvider;
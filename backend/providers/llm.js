@@ -0,0 +1,40 @@
+const { translationPrompt, batchPrompt, systemMessage, parseBatchResponse } = require('../prompts');
+
+// Base class for providers backed by a general-purpose LLM. Subclasses only
+// implement complete(), health() and modelInfo(); prompting and batch parsing
+// are shared.
+//
+// Every provider exposes the same interface:
+//   translate(text, targetLang, { instructions, onToken, profile }) -> translation
+//   batchTranslate(texts, targetLang, { instructions, profile })   -> translations, null where missing
+//   health()                                                      -> { ok, detail }
+//   modelInfo()                                                   -> { provider, model, id, local }
+// profile is a prompt profile from prompts.js; providers without prompts ignore it.
+class LLMProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  async translate(text, targetLang, { instructions = '', onToken, profile } = {}) {
+    const translation = await this.complete(translationPrompt(text, targetLang, instructions, profile), {
+      onToken,
+      systemMessage: systemMessage(profile)
+    });
+    return translation || text;
+  }
+
+  async batchTranslate(texts, targetLang, { instructions = '', profile } = {}) {
+    const response = await this.complete(batchPrompt(texts, targetLang, instructions, profile), {
+      json: true,
+      systemMessage: systemMessage(profile)
+    });
+    return parseBatchResponse(response, texts.length);
+  }
+
+  // complete(prompt, { json, onToken, systemMessage }) -> raw completion text
+  async complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,67 @@
+const LLMProvider = require('./llm');
+const { request, isLocalUrl } = require('./http');
+
+class OllamaProvider extends LLMProvider {
+  constructor({ url = 'http://localhost:11434', model = 'llama3', local, timeout } = {}) {
+    super({ url, model, timeout });
+    this.url = url.replace(/\/$/, '');
+    this.model = model;
+    this.local = local ?? isLocalUrl(this.url);
+    this.timeout = timeout;
+  }
+
+  // With onToken, Ollama streams NDJSON and onToken gets the text generated so far
+  async complete(prompt, { json = false, onToken, systemMessage } = {}) {
+    console.log(`🦙 Calling Ollama (${this.model})...`);
+    const stream = Boolean(onToken);
+    let streamed = '';
+
+    try {
+      const response = await request(`${this.url}/api/generate`, {
+        method: 'POST',
+        timeout: this.timeout,
+        body: {
+          model: this.model,
+          prompt,
+          stream,
+          ...(systemMessage && { system: systemMessage }),
+          ...(json && { format: 'json' })
+        },
+        onLine: stream && ((line) => {
+          try {
+            streamed += JSON.parse(line).response || '';
+            onToken(streamed.trim());
+          } catch (e) {
+            console.error(`⚠️ Skipping malformed Ollama stream line: ${e.message}`);
+          }
+        })
+      });
+
+      return stream ? streamed.trim() : response?.response?.trim() || '';
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        console.error('Ollama Connection Error:', error.message);
+        throw new Error(`Failed to connect to Ollama. Is it running at ${this.url}?`);
+      }
+      throw error;
+    }
+  }
+
+  async health() {
+    try {
+      const { models = [] } = await request(`${this.url}/api/tags`, { timeout: 5000 });
+      const installed = models.some(m => m.name === this.model || m.name.split(':')[0] === this.model);
+      return installed
+        ? { ok: true, detail: `${this.model} available` }
+        : { ok: false, detail: `Model ${this.model} is not installed` };
+    } catch (error) {
+      return { ok: false, detail: error.message };
+    }
+  }
+
+  modelInfo() {
+    return { provider: 'ollama', model: this.model, id: `ollama:${this.model}`, local: this.local };
+  }
+}
+
+module.exports = OllamaProvider;
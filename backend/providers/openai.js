@@ -0,0 +1,55 @@
+const LLMProvider = require('./llm');
+const { request, isLocalUrl } = require('./http');
+
+// Any server that speaks the OpenAI /v1/chat/completions API:
+// llama.cpp server, vLLM, LM Studio, OpenAI itself.
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl = 'http://localhost:8000/v1', apiKey, model = 'default', local, timeout } = {}) {
+    super({ baseUrl, model, timeout });
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.local = local ?? isLocalUrl(this.baseUrl);
+    this.timeout = timeout;
+  }
+
+  headers() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  async complete(prompt, { json = false, systemMessage } = {}) {
+    console.log(`🧠 Calling ${this.baseUrl} (${this.model})...`);
+
+    const jsonData = await request(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      timeout: this.timeout,
+      headers: this.headers(),
+      body: {
+        model: this.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: systemMessage },
+          { role: 'user', content: prompt }
+        ],
+        ...(json && { response_format: { type: 'json_object' } })
+      }
+    });
+
+    return jsonData?.choices?.[0]?.message?.content?.trim() || '';
+  }
+
+  async health() {
+    try {
+      const { data = [] } = await request(`${this.baseUrl}/models`, { headers: this.headers(), timeout: 5000 });
+      return { ok: true, detail: `${data.length} model(s) served` };
+    } catch (error) {
+      return { ok: false, detail: error.message };
+    }
+  }
+
+  modelInfo() {
+    return { provider: 'openai', model: this.model, id: `openai:${this.model}`, local: this.local };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
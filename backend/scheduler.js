@@ -0,0 +1,57 @@
+// Picks the next task for the translation workers. High-priority work
+// (strings in the visible viewport) goes before low-priority work, and within
+// a priority the connections take turns, so one tab scanning a huge page
+// cannot starve everyone else.
+const PRIORITIES = ['high', 'low'];
+
+class FairQueue {
+  constructor() {
+    this.levels = new Map(PRIORITIES.map(priority => [priority, new Map()])); // priority -> owner -> tasks
+    this.size = 0;
+  }
+
+  push(owner, task, priority = 'high') {
+    const owners = this.levels.get(priority) || this.levels.get('high');
+    this.size++;
+    if (owners.has(owner)) {
+      owners.get(owner).push(task);
+      return;
+    }
+
+    // An owner with nothing waiting goes to the front of the line
+    const waiting = [...owners];
+    owners.clear();
+    owners.set(owner, [task]);
+    for (const [other, tasks] of waiting) owners.set(other, tasks);
+  }
+
+  // Take all of an owner's tasks out of the queue
+  remove(owner) {
+    const removed = [];
+    for (const owners of this.levels.values()) {
+      removed.push(...(owners.get(owner) || []));
+      owners.delete(owner);
+    }
+    this.size -= removed.length;
+    return removed;
+  }
+
+  // Next task, or null when nothing is waiting
+  shift() {
+    for (const owners of this.levels.values()) {
+      for (const [owner, tasks] of owners) {
+        const task = tasks.shift();
+
+        // Move the owner to the back of the line
+        owners.delete(owner);
+        if (tasks.length > 0) owners.set(owner, tasks);
+
+        this.size--;
+        return task;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = FairQueue;
@@ -1,219 +1,837 @@
 const WebSocket = require('ws');
 const async = require('async');
-const https = require('https');
-const http = require('http');
-const { createCache } = require('cache-manager');
+const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
+const TranslationMemory = require('./translationMemory');
+const Glossary = require('./glossary');
+const placeholders = require('./placeholders');
+const translationContext = require('./context');
+const validator = require('./validator');
+const PhiDetector = require('./phi');
+const AuditLog = require('./audit');
+const { AuthError, verifyToken, originAllowed, RateLimiter } = require('./auth');
+const FairQueue = require('./scheduler');
+const { knownLanguages } = require('./languages');
+const { PromptProfiles } = require('./prompts');
+const { createProviderChain } = require('./providers');
+const { createAdminServer } = require('./admin');
+const { createApiServer } = require('./api');
 
-const PORT = 8080;
-const wss = new WebSocket.Server({ port: PORT });
-const API_KEY = process.env.AI_API_KEY;
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const HOST = process.env.HOST || undefined; // All interfaces unless set
+const ADMIN_PORT = parseInt(process.env.ADMIN_PORT, 10) || 8081;
+const ADMIN_HOST = process.env.ADMIN_HOST || '127.0.0.1'; // Review admin is local-only unless set
+
+// Anyone who reaches the review admin can change what every client is shown
+if (!isLoopback(ADMIN_HOST) && !process.env.ADMIN_TOKEN) {
+  console.error(`❌ ADMIN_HOST ${ADMIN_HOST} is reachable from the network, set ADMIN_TOKEN to expose the review admin`);
+  process.exit(1);
+}
+
+// One HTTP server for the REST API and the WebSocket protocol
+const server = createApiServer({
+  translate: translateHttp,
+  health: () => provider.health(),
+  languages: listLanguages,
+  stats: (req) => {
+    authenticateHttp(req, { limits: {} });
+    return serverStats();
+  }
+});
+const wss = new WebSocket.Server({ server });
 
 // Configuration
-const TRANSLATION_PROVIDER = process.env.TRANSLATION_PROVIDER || 'bluehive'; // 'bluehive' or 'ollama'
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3';
+// Providers: 'ollama', 'bluehive', 'openai' or 'libretranslate', optionally as a failover chain
+const provider = createProviderChain();
+const MODEL_ID = provider.modelInfo().id;
+const PROMPT_VERSION = '4'; // Bump when the prompt code changes so old machine output is not reused
+
+// Per-language glossary of required and do-not-translate terms
+const glossary = new Glossary(process.env.GLOSSARY_DIR || path.join(__dirname, 'glossary'));
+const GLOSSARY_PROVIDER = { id: 'glossary', provider: 'glossary', model: null }; // Strings answered from the glossary
+
+// Prompt templates per product or tenant, picked by the client
+const promptProfiles = new PromptProfiles(process.env.PROMPT_PROFILES_DIR || path.join(__dirname, 'profiles'));
+const DEFAULT_PROFILE = process.env.PROMPT_PROFILE || 'default';
+
+// PHI masking for anything the client did not mask. In strict mode, strings
+// that contained PHI are only sent to local providers.
+const PHI_REDACTION = process.env.PHI_REDACTION !== 'false';
+const PHI_STRICT = process.env.PHI_STRICT === 'true';
+const phi = new PhiDetector({
+  names: process.env.PHI_NAMES_FILE ? PhiDetector.loadNames(process.env.PHI_NAMES_FILE) : [],
+  mrnPattern: process.env.PHI_MRN_PATTERN || undefined
+});
+if (PHI_STRICT && !provider.modelInfo().local) {
+  console.log('🔒 Strict PHI mode: strings with PHI will only be sent to local providers');
+}
+
+// Structured audit trail of what was sent where. Source text only appears in
+// the audit log and the console with LOG_TEXT=true, otherwise as a hash.
+const LOG_TEXT = process.env.LOG_TEXT === 'true';
+const audit = new AuditLog({
+  dir: process.env.AUDIT_LOG_DIR || path.join(__dirname, 'data', 'audit'),
+  logText: LOG_TEXT,
+  maxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 10,
+  enabled: process.env.AUDIT_LOG !== 'false'
+});
+
+// Who may connect: browser origins, signed client tokens (required when
+// AUTH_SECRET is set), and how many strings each client may send
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const AUTH_SECRET = process.env.AUTH_SECRET || null;
+const AUTH_TIMEOUT_MS = 5000; // Time a client has to send its auth message
+const rateLimiter = new RateLimiter({
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE ?? '1000', 10) || 0,
+  perDay: parseInt(process.env.DAILY_QUOTA, 10) || 0
+});
+if (!AUTH_SECRET) {
+  console.warn('⚠️ AUTH_SECRET is not set, any client that reaches the server can translate');
+}
+
+// Initialize persistent translation memory
+const translationMemory = new TranslationMemory({
+  file: process.env.TM_FILE || path.join(__dirname, 'data', 'translation-memory.jsonl'),
+  maxEntries: parseInt(process.env.TM_MAX_ENTRIES, 10) || 50000,
+  ttlDays: parseInt(process.env.TM_TTL_DAYS, 10) || 90,
+  model: MODEL_ID,
+  promptVersion: promptVersion(resolveProfile(DEFAULT_PROFILE))
+});
+translationMemory.load().catch(error => {
+  console.error('❌ Failed to load translation memory:', error.message);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🚀 Translation Backend started on ${HOST || 'localhost'}:${PORT} (WebSocket and HTTP API)`);
+});
 
-// Initialize cache
-const memoryCache = createCache();
+provider.health().then(({ ok, detail }) => {
+  console.log(`${ok ? '🟢' : '🔴'} Provider ${MODEL_ID}: ${detail}`);
+});
+
+// Review UI and API for human-approved translations
+createAdminServer({ translationMemory, adminToken: process.env.ADMIN_TOKEN, onUpdate: broadcastUpdates })
+  .listen(ADMIN_PORT, ADMIN_HOST, () => {
+    console.log(`🩺 Review admin available at http://${ADMIN_HOST}:${ADMIN_PORT}/admin`);
+  });
+
+// Persist usage counts before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    translationMemory.compact().finally(() => process.exit(0));
+  });
+}
 
-console.log(`🚀 Translation Backend started on port ${PORT}`);
+// Batching: short strings from the same request are packed into one prompt
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 20;
+const BATCH_MAX_CHARS = parseInt(process.env.BATCH_MAX_CHARS, 10) || 2000;
+const BATCH_MAX_TEXT_LENGTH = 200; // Longer strings always get their own prompt
 
-// Queue for processing translations
-const translationQueue = async.queue(async (task) => {
-  const { item, ws, targetLang } = task;
+// Streaming: forward partial Ollama output for single strings when the client asks for it
+const STREAMING_ENABLED = process.env.STREAMING_ENABLED !== 'false';
+const STREAM_INTERVAL_MS = 100; // Minimum gap between translation_partial messages
+
+// Work waiting for a translation slot: visible strings first, connections take turns
+const scheduler = new FairQueue();
+
+// Translations in progress, so concurrent requests for the same string share one model call
+const inFlight = new Map(); // in-flight key -> Promise of { translation, lowConfidence, provider } or { error }
+
+// Queue for processing translations. Each job runs whichever task the scheduler picks next.
+const translationQueue = async.queue(async () => {
+  const task = scheduler.shift();
+  if (!task) return;
+  const { ws, targetLang, stream, profile, localOnly } = task;
+
+  // Items cancelled while they waited are already settled; the rest can no longer be cancelled
+  const items = task.items.filter(item => !item.cancelled);
+  items.forEach(item => ws.queued.delete(item.hash));
+  if (items.length === 0) return;
   
   try {
-    // Check cache first
-    const cachedTranslation = await memoryCache.get(item.hash);
-    
-    if (cachedTranslation) {
-      console.log(`⚡ Cache hit for: "${item.text.substring(0, 20)}..."`);
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({
-          type: 'translation_result',
-          hash: item.hash,
-          original: item.text,
-          translated: cachedTranslation
-        }));
+    const onPartial = stream && items.length === 1 ? partialSender(ws, items[0]) : null;
+    const translations = items.length === 1
+      ? [await translateText(items[0].text, targetLang, { onPartial, profile, localOnly, context: items[0].context })]
+      : await translateBatch(items.map(item => item.text), targetLang, {
+        profile,
+        localOnly,
+        contexts: items.map(item => item.context)
+      });
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const result = translations[i];
+      if (result == null) {
+        item.settle({ error: 'Translation failed' });
+        continue;
       }
-      return;
-    }
 
-    console.log(`🔄 Processing: "${item.text}" -> ${targetLang}`);
-    
-    const translatedText = await translateText(item.text, targetLang);
-    
-    // Cache the result
-    await memoryCache.set(item.hash, translatedText);
+      // Cache the result, unless it failed validation
+      if (!result.lowConfidence) {
+        await translationMemory.set(item.text, targetLang, result.translation, {
+          promptVersion: promptVersion(profile),
+          context: translationContext.key(item.context)
+        });
+      }
 
-    // Send result back to client
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        type: 'translation_result',
-        hash: item.hash,
-        original: item.text,
-        translated: translatedText
-      }));
-      console.log(`✅ Sent: "${translatedText}"`);
+      // Send result back to everyone waiting for it
+      item.settle(result);
     }
   } catch (error) {
-    console.error(`❌ Translation failed for "${item.text}":`, error.message);
+    const label = items.length === 1 ? preview(items[0].text) : `batch of ${items.length}`;
+    console.error(`❌ Translation failed for ${label}:`, error.message);
+    items.forEach(item => item.settle({ error: error.message }));
   }
 }, 5); // Concurrency of 5
 
-async function translateText(text, targetLang) {
-  if (TRANSLATION_PROVIDER === 'ollama') {
-    return translateWithOllama(text, targetLang);
+// Audit and send one requester's copy of a translation. cache is 'miss' for
+// the request that triggered the model call and 'shared' for the ones that
+// waited on it. When the request everyone waited on was cancelled, the others
+// queue the string again themselves.
+function deliver(request, item, result, cache) {
+  const { ws } = request;
+  if (result.cancelled) {
+    if (!item.cancelled && ws.readyState === WebSocket.OPEN) {
+      queueTranslations([item], ws, request.targetLang, request).catch(error => {
+        console.error('Error queuing translations:', error);
+      });
+    }
+    return;
   }
 
-  const API_KEY = process.env.BLUEHIVE_API_KEY || process.env.AI_API_KEY;
-  
-  console.log(`🤖 Calling Ozwell AI API...`);
-  
-  const data = JSON.stringify({
-    prompt: `Translate the following text to ${targetLang} language code.
+  if (result.error) {
+    auditItem(request, item, { cache, outcome: 'error', error: result.error });
+    sendError(ws, item, 'Translation failed');
+    return;
+  }
+
+  auditItem(request, item, {
+    cache,
+    provider: result.provider?.provider,
+    model: result.provider?.model,
+    providerId: result.provider?.id,
+    outcome: result.lowConfidence ? 'low_confidence' : 'ok',
+    translation: result.translation
+  });
+
+  if (sendResult(ws, item, result.translation, { lowConfidence: result.lowConfidence })) {
+    console.log(`✅ Sent: ${preview(result.translation)}`);
+  }
+}
+
+// Register an item as in flight. Its settle() resolves the shared promise
+// once the worker is done with it.
+function startInFlight(key, item) {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  inFlight.set(key, promise);
 
-Text to translate: "${text}"
+  item.settle = (result) => {
+    if (inFlight.get(key) === promise) inFlight.delete(key);
+    resolve(result);
+  };
+  return promise;
+}
 
-Instructions:
-- Use terminology that is widely recognized and used by healthcare professionals and patients.
-- Avoid literal translations if they sound unnatural; prefer phrases that convey the intended meaning in a way that feels native.
-- If a direct equivalent does not exist, use a descriptive phrase that would be easily understood in a clinical context.
-- Ensure the translation is suitable for patient-facing EHR interfaces.
-- Preserve any medical abbreviations or codes if they are universally used.
+// The token's client name and limits apply to the connection
+function applyClaims(connection, claims) {
+  connection.clientId = claims.sub || connection.client;
+  connection.limits = { perMinute: claims.rate, perDay: claims.quota };
+}
+
+// Drop a queued item before it reaches a provider
+function cancelItem(item) {
+  item.cancelled = true;
+  item.settle({ cancelled: true });
+}
 
-Return ONLY the most natural and contextually appropriate translation, with no additional explanation or markup.`,
-    systemMessage: "You are a professional translator. You are translating an EHR website content. Provide only the translation without any explanations or additional text."
+// A closed connection's queued work is dropped. Strings already sent to a
+// provider still finish and are cached, but nothing is sent back.
+function dropConnection(ws) {
+  const items = scheduler.remove(ws).flatMap(task => task.items).filter(item => !item.cancelled);
+  items.forEach(cancelItem);
+  ws.queued.clear();
+
+  if (items.length > 0) console.log(`🗑️ Dropped ${items.length} queued item(s) for session ${ws.session}`);
+}
+
+// Source text for console lines: the text itself with LOG_TEXT=true, otherwise a short hash
+function preview(text) {
+  return LOG_TEXT ? `"${text.substring(0, 40)}"` : `#${AuditLog.hash(text).substring(0, 8)}`;
+}
+
+function auditItem({ ws, targetLang, receivedAt }, item, fields) {
+  audit.record({
+    session: ws.session,
+    client: ws.client,
+    clientId: ws.clientId,
+    targetLang,
+    text: item.text,
+    latencyMs: Date.now() - receivedAt,
+    phi: item.flagged,
+    ...fields
   });
+}
+
+function sendResult(ws, item, translatedText, { lowConfidence = false } = {}) {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+
+  ws.send(JSON.stringify({
+    type: 'translation_result',
+    hash: item.hash,
+    original: PhiDetector.unmask(item.text, item.phiValues),
+    translated: PhiDetector.unmask(translatedText, item.phiValues),
+    ...(lowConfidence && { lowConfidence: true })
+  }));
+  return true;
+}
+
+// Tell the client to stop waiting and keep showing the source text.
+// Rate-limited items carry code and retryAfterMs so the client can send them again.
+function sendError(ws, item, message, { code, retryAfterMs } = {}) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({
+    type: 'translation_error',
+    hash: item.hash,
+    original: PhiDetector.unmask(item.text, item.phiValues),
+    error: message,
+    ...(code && { code }),
+    ...(retryAfterMs !== undefined && { retryAfterMs })
+  }));
+}
+
+// Tell the client why before closing, so it stops reconnecting. 4001 is an
+// auth failure and 4003 a forbidden origin; the close reason is the code.
+function reject(ws, closeCode, code, message) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({ type: 'rejected', code, message }));
+  ws.close(closeCode, code);
+}
+
+// Check a client token and apply its name and limits to the connection
+// Any failure closes the connection, not only the AuthErrors we expect
+function authenticate(ws, token) {
+  try {
+    applyClaims(ws, verifyToken(token, AUTH_SECRET));
+  } catch (error) {
+    if (!(error instanceof AuthError)) console.error(`❌ Token check failed for session ${ws.session}:`, error);
+    const { code, message } = error instanceof AuthError ? error : { code: 'invalid_token', message: 'Invalid token' };
+    console.warn(`⛔ Rejected session ${ws.session}: ${message}`);
+    reject(ws, 4001, code, message);
+    return false;
+  }
 
-  const options = {
-    hostname: 'ai.bluehive.com',
-    port: 443,
-    path: '/api/v1/completion',
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${API_KEY}`,
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(data)
+  ws.authenticated = true;
+  console.log(`🔑 Session ${ws.session} authenticated as ${ws.clientId}`);
+  sendCacheVersion(ws);
+  return true;
+}
+
+// Clients with a persistent cache drop it when this stamp changes: a new
+// model, prompt code, glossary or prompt profile, or a bumped CLIENT_CACHE_VERSION
+function clientCacheVersion() {
+  const parts = [
+    MODEL_ID,
+    PROMPT_VERSION,
+    glossary.version,
+    ...promptProfiles.names().map(name => promptProfiles.get(name).id),
+    process.env.CLIENT_CACHE_VERSION || ''
+  ];
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 8);
+}
+
+function sendCacheVersion(ws) {
+  ws.send(JSON.stringify({ type: 'cache_version', version: clientCacheVersion() }));
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+// Push corrected translations to the clients subscribed to their language, so
+// nodes showing the old text are updated without a reload. More changes than
+// UPDATE_PUSH_LIMIT for one client (an import) are sent as one cache_invalidate.
+// Strings with masked PHI are left out: the client hashes the unmasked text,
+// which the server never saw, and only keeps them in memory until the next load.
+const UPDATE_PUSH_LIMIT = 200;
+
+function broadcastUpdates(entries) {
+  const byLanguage = new Map();
+  for (const entry of entries) {
+    if (PhiDetector.isMasked(entry.source)) continue;
+    if (!byLanguage.has(entry.targetLang)) byLanguage.set(entry.targetLang, []);
+    byLanguage.get(entry.targetLang).push(entry);
+  }
+
+  let notified = 0;
+  for (const ws of wss.clients) {
+    const { subscription } = ws;
+    if (!subscription || !ws.authenticated || ws.readyState !== WebSocket.OPEN) continue;
+
+    // Machine output only reaches this client when it is what the client would be served
+    const updates = (byLanguage.get(subscription.language) || []).filter(entry => entry.status === 'reviewed' || (
+      entry.model === MODEL_ID &&
+      entry.promptVersion === subscription.promptVersion &&
+      !translationMemory.getByKey(TranslationMemory.key(entry.source, entry.targetLang, '*', '*', entry.context))
+    ));
+    if (updates.length === 0) continue;
+    notified++;
+
+    if (updates.length > UPDATE_PUSH_LIMIT) {
+      ws.send(JSON.stringify({ type: 'cache_invalidate', language: subscription.language }));
+      continue;
     }
+    for (const entry of updates) {
+      ws.send(JSON.stringify({
+        type: 'translation_updated',
+        hash: translationContext.clientHash(entry.source, entry.targetLang, subscription.profile, entry.context),
+        original: entry.source,
+        translated: entry.translation
+      }));
+    }
+  }
+
+  if (notified > 0) console.log(`📣 Pushed ${entries.length} changed translation(s) to ${notified} client(s)`);
+}
+
+// Throttled sender for the growing translation of one item
+function partialSender(ws, item) {
+  let lastSent = 0;
+
+  return (partial) => {
+    const now = Date.now();
+    if (now - lastSent < STREAM_INTERVAL_MS || ws.readyState !== WebSocket.OPEN) return;
+    lastSent = now;
+
+    ws.send(JSON.stringify({
+      type: 'translation_partial',
+      hash: item.hash,
+      partial: PhiDetector.unmask(partial, item.phiValues)
+    }));
   };
+}
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let responseData = '';
+// Unknown profile names fall back to the default profile
+function resolveProfile(name) {
+  const profile = promptProfiles.get(name || DEFAULT_PROFILE);
+  if (profile) return profile;
 
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
+  console.warn(`⚠️ Unknown prompt profile "${name}", using "${DEFAULT_PROFILE}"`);
+  return promptProfiles.get(DEFAULT_PROFILE) || promptProfiles.get('default');
+}
 
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`BlueHive AI API error: ${res.statusCode}\n${responseData}`));
-        } else {
-          try {
-            const jsonData = JSON.parse(responseData);
-            // Handle different response structures if needed, but prioritizing the user's structure
-            const translation = jsonData.choices?.[0]?.message?.content?.trim() || 
-                              jsonData.choices?.[0]?.text?.trim() || 
-                              jsonData.text?.trim() || 
-                              text;
-            resolve(translation);
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${e.message}\n${responseData}`));
-          }
-        }
-      });
-    });
+// Machine output is cached per prompt code, glossary and profile template version
+function promptVersion(profile) {
+  return `${PROMPT_VERSION}+${glossary.version}+${profile.id}`;
+}
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+// Mask PHI the client missed. The masked text is what gets translated, cached
+// and logged; the values are put back only in messages to this client.
+function redact(item) {
+  const { text, entities } = PHI_REDACTION ? phi.mask(item.text) : { text: item.text, entities: {} };
+  const count = Object.keys(entities).length;
+  if (count > 0) console.log(`🔒 Masked ${count} PHI value(s) in ${preview(text)}`);
 
-    req.write(data);
-    req.end();
-  });
+  const context = item.context && PHI_REDACTION
+    ? Object.fromEntries(Object.entries(item.context).map(([field, value]) => [field, phi.mask(value).text]))
+    : item.context;
+
+  return { ...item, text, context, phiValues: entities, flagged: item.phi === true || count > 0 };
 }
 
-async function translateWithOllama(text, targetLang) {
-  console.log(`🦙 Calling Ollama (${OLLAMA_MODEL})...`);
+// Answer cache hits right away, let strings that are already being translated
+// wait for that result, and group the rest into prompt-sized chunks.
+// In strict PHI mode flagged strings get chunks of their own, limited to local providers.
+async function queueTranslations(payload, ws, targetLang, { stream = false, profile, priority = 'high', receivedAt = Date.now() } = {}) {
+  const request = { ws, targetLang, stream, profile, priority, receivedAt };
+  const chunks = [];
+  const open = new Map(); // localOnly -> chunk still taking items
 
-  const data = JSON.stringify({
-    model: OLLAMA_MODEL,
-    prompt: `Translate the following text to ${targetLang} language code.
-    
-    Text: "${text}"
+  for (const item of payload) {
+    const contextKey = translationContext.key(item.context);
+    const cached = await translationMemory.get(item.text, targetLang, {
+      promptVersion: promptVersion(profile),
+      context: contextKey
+    });
     
-    Instructions:
-    - Use terminology that is widely recognized and used by healthcare professionals and patients.
-    - Return ONLY the translation, no intro or outro.`,
-    stream: false
-  });
+    if (cached) {
+      console.log(`⚡ Cache hit (${cached.status}) for ${preview(item.text)}`);
+      auditItem(request, item, {
+        cache: 'hit',
+        status: cached.status,
+        outcome: 'ok',
+        translation: cached.translation
+      });
+      sendResult(ws, item, cached.translation);
+      continue;
+    }
+
+    const localOnly = PHI_STRICT && item.flagged;
+    const key = `${localOnly ? 'local:' : ''}${translationMemory.machineKey(item.text, targetLang, promptVersion(profile), contextKey)}`;
+    const shared = inFlight.get(key);
+    if (shared) {
+      console.log(`🔗 Waiting on in-flight translation of ${preview(item.text)}`);
+      shared.then(result => deliver(request, item, result, 'shared'));
+      continue;
+    }
+    startInFlight(key, item).then(result => deliver(request, item, result, 'miss'));
+    ws.queued.set(item.hash, item);
+
+    if (item.text.length > BATCH_MAX_TEXT_LENGTH) {
+      chunks.push({ items: [item], localOnly });
+      continue;
+    }
+
+    let chunk = open.get(localOnly);
+    if (!chunk || chunk.items.length >= BATCH_MAX_ITEMS || chunk.chars + item.text.length > BATCH_MAX_CHARS) {
+      chunk = { items: [], chars: 0, localOnly };
+      chunks.push(chunk);
+      open.set(localOnly, chunk);
+    }
+    chunk.items.push(item);
+    chunk.chars += item.text.length;
+  }
+
+  for (const { items, localOnly } of chunks) {
+    console.log(`🔄 Queuing ${items.length} item(s) -> ${targetLang} (${profile.name}, ${priority} priority${localOnly ? ', local only' : ''})`);
+    scheduler.push(ws, { items, ws, targetLang, stream, profile, localOnly }, priority);
+    translationQueue.push({});
+  }
+}
+
+// Translate one string and check the output: protected tokens must survive,
+// glossary terms are repaired in place where possible, and the validator
+// checks script, length and echoed source. Anything wrong gets one retry with
+// a stricter prompt; if that fails too the result is marked low-confidence.
+// Resolves to { translation, lowConfidence, issues, provider }.
+async function translateText(text, targetLang, { onPartial, profile, localOnly, context } = {}) {
+  const exact = glossary.exactMatch(text, targetLang);
+  if (exact) return { translation: exact, lowConfidence: false, issues: [], provider: GLOSSARY_PROVIDER };
+
+  const terms = glossary.match(text, targetLang);
+  let result = await attemptTranslation(text, targetLang, terms, { onPartial, profile, localOnly, context });
+
+  if (result.issues.length > 0) {
+    console.log(`🔁 Retrying ${preview(text)} (${result.issues.join(', ')})...`);
+    const retry = await attemptTranslation(text, targetLang, terms, { retryIssues: result.issues, profile, localOnly, context });
 
-  const options = {
-    hostname: 'localhost',
-    port: 11434,
-    path: '/api/generate',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(data)
+    if (result.translation === null || (retry.translation !== null && retry.issues.length <= result.issues.length)) {
+      result = retry;
     }
+  }
+
+  if (result.translation === null) {
+    throw new Error('Placeholders were not preserved in the translation');
+  }
+  if (result.issues.length > 0) {
+    console.warn(`⚠️ Low-confidence translation for ${preview(text)}: ${result.issues.join(', ')}`);
+  }
+
+  return { ...result, lowConfidence: result.issues.length > 0 };
+}
+
+// One model call plus checks. translation is null when a protected token was lost.
+async function attemptTranslation(text, targetLang, terms, { retryIssues = null, onPartial, profile, localOnly, context } = {}) {
+  const { text: masked, tokens } = placeholders.protect(text);
+  const instructions = extraInstructions(terms, tokens.length > 0, retryIssues, targetLang,
+    translationContext.promptSection(context));
+  const onToken = onPartial && ((partial) => onPartial(placeholders.restorePartial(partial, tokens)));
+
+  let served = null;
+  const completion = await provider.translate(masked, targetLang, {
+    instructions,
+    onToken,
+    profile,
+    localOnly,
+    onProvider: (info) => { served = info; }
+  });
+  return { ...checkTranslation(text, validator.clean(completion, masked), tokens, terms, targetLang), provider: served };
+}
+
+function checkTranslation(text, completion, tokens, terms, targetLang) {
+  const restored = placeholders.restore(completion, tokens);
+  if (restored === null) return { translation: null, issues: ['placeholders'] };
+
+  const translation = Glossary.repair(restored, terms);
+  const keptTerms = terms.filter(term => term.keep).map(term => term.source);
+
+  return {
+    translation,
+    issues: [
+      ...Glossary.violations(translation, terms).map(term => `glossary:${term.source}`),
+      ...validator.validate(text, translation, targetLang, { ignore: [...tokens, ...keptTerms] })
+    ]
   };
+}
 
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let responseData = '';
+function extraInstructions(terms, hasTokens, retryIssues, targetLang, contextSection = '') {
+  const sections = [];
+  if (contextSection) sections.push(contextSection);
+  if (hasTokens) sections.push(placeholders.PROMPT_NOTE);
+  if (terms.length > 0) sections.push(Glossary.promptSection(terms));
+  if (retryIssues) sections.push(validator.retryInstructions(retryIssues, targetLang));
+  return sections.join('\n\n');
+}
 
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
+// Translate several strings with one completion. Items the model drops or
+// mangles, or that fail a check, are retried one at a time; items that still
+// fail come back as null.
+async function translateBatch(texts, targetLang, { profile, localOnly, contexts = [] } = {}) {
+  const terms = new Map();
+  const protectedTexts = texts.map(text => placeholders.protect(text));
+  for (const text of texts) {
+    for (const term of glossary.match(text, targetLang)) {
+      terms.set(term.source, term);
+    }
+  }
 
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`Ollama API error: ${res.statusCode}\n${responseData}`));
-        } else {
-          try {
-            const jsonData = JSON.parse(responseData);
-            const translation = jsonData.response?.trim() || text;
-            resolve(translation);
-          } catch (e) {
-            reject(new Error(`Failed to parse Ollama response: ${e.message}\n${responseData}`));
-          }
-        }
-      });
+  let translations = [];
+  let served = null;
+  try {
+    console.log(`📦 Translating batch of ${texts.length} items...`);
+    translations = await provider.batchTranslate(protectedTexts.map(p => p.text), targetLang, {
+      instructions: extraInstructions([...terms.values()], protectedTexts.some(p => p.tokens.length > 0), null, targetLang,
+        translationContext.batchPromptSection(contexts)),
+      profile,
+      localOnly,
+      onProvider: (info) => { served = info; }
     });
+  } catch (error) {
+    console.error(`⚠️ Batch translation failed, falling back to single items:`, error.message);
+  }
+
+  const translateItem = async (text, i) => {
+    const exact = glossary.exactMatch(text, targetLang);
+    if (exact) return { translation: exact, lowConfidence: false, issues: [], provider: GLOSSARY_PROVIDER };
 
-    req.on('error', (error) => {
-      console.error('Ollama Connection Error:', error.message);
-      reject(new Error('Failed to connect to Ollama. Is it running on port 11434?'));
+    if (translations[i]) {
+      const { text: masked, tokens } = protectedTexts[i];
+      const result = checkTranslation(text, validator.clean(translations[i], masked), tokens, glossary.match(text, targetLang), targetLang);
+      if (result.translation !== null && result.issues.length === 0) {
+        return { ...result, lowConfidence: false, provider: served };
+      }
+    }
+
+    try {
+      return await translateText(text, targetLang, { profile, localOnly, context: contexts[i] });
+    } catch (error) {
+      console.error(`❌ Translation failed for ${preview(text)}:`, error.message);
+      return null;
+    }
+  };
+
+  // Items the batch did not cover are translated one at a time, so a failed
+  // batch keeps to its one queue slot instead of flooding the provider
+  const results = [];
+  for (let i = 0; i < texts.length; i++) {
+    results.push(await translateItem(texts[i], i));
+  }
+  return results;
+}
+
+// Origin and bearer token checks for the HTTP API, claims go on the connection
+function authenticateHttp(req, connection) {
+  const origin = req.headers.origin;
+  if (!originAllowed(origin, ALLOWED_ORIGINS)) {
+    throw httpError(403, `Origin ${origin} is not allowed`, { code: 'origin_not_allowed' });
+  }
+  if (!AUTH_SECRET) return;
+
+  const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  if (!token) throw httpError(401, 'Authentication required', { code: 'auth_required' });
+
+  try {
+    applyClaims(connection, verifyToken(token, AUTH_SECRET));
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    throw httpError(401, error.message, { code: error.code });
+  }
+}
+
+// POST /translate. The request stands in for a WebSocket connection, so it
+// goes through the same origin and token checks, rate limits, queue, cache and
+// audit log. Resolves to { text, translation, lowConfidence? } or
+// { text, error, code?, retryAfterMs? } for each text.
+async function translateHttp(req, res, { texts, contexts, targetLang, profile, priority }) {
+  const connection = {
+    session: crypto.randomUUID(),
+    client: req.socket.remoteAddress,
+    clientId: req.socket.remoteAddress,
+    limits: {},
+    queued: new Map(),
+    readyState: WebSocket.OPEN
+  };
+
+  authenticateHttp(req, connection);
+
+  const results = texts.map(text => ({ text }));
+  const limit = rateLimiter.take(connection.clientId, texts.length, connection.limits);
+  for (const result of results.slice(limit.allowed)) {
+    Object.assign(result, { error: limit.message, code: limit.code, retryAfterMs: limit.retryAfterMs });
+  }
+  if (limit.allowed === 0) return results;
+
+  console.log(`📥 HTTP request: ${limit.allowed} items for language: ${targetLang}`);
+  const payload = texts.slice(0, limit.allowed)
+    .map((text, i) => redact({ text, hash: String(i), context: translationContext.normalize(contexts[i]) }));
+
+  await new Promise((resolve) => {
+    let waiting = payload.length;
+    connection.send = (message) => {
+      const data = JSON.parse(message);
+      const result = results[data.hash];
+      if (data.type === 'translation_result') {
+        result.translation = data.translated;
+        if (data.lowConfidence) result.lowConfidence = true;
+      } else if (data.type === 'translation_error') {
+        result.error = data.error;
+      } else {
+        return;
+      }
+      if (--waiting === 0) resolve();
+    };
+
+    // The caller gave up, drop what is still queued
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      connection.readyState = WebSocket.CLOSED;
+      dropConnection(connection);
+      resolve();
     });
 
-    req.write(data);
-    req.end();
+    queueTranslations(payload, connection, targetLang, {
+      profile: resolveProfile(profile),
+      priority: priority === 'low' ? 'low' : 'high',
+      receivedAt: Date.now()
+    }).catch((error) => {
+      console.error('Error queuing translations:', error);
+      results.filter(result => result.translation === undefined && !result.error)
+        .forEach((result) => { result.error = 'Translation failed'; });
+      resolve();
+    });
   });
+  return results;
+}
+
+function httpError(statusCode, message, details = {}) {
+  return Object.assign(new Error(message), { statusCode, details });
+}
+
+// GET /languages
+function listLanguages() {
+  return {
+    languages: knownLanguages().map(language => ({ ...language, glossary: glossary.languages.has(language.code) }))
+  };
 }
 
-wss.on('connection', (ws) => {
-  console.log('✅ Client connected');
+// GET /stats
+function serverStats() {
+  return {
+    uptimeSeconds: Math.round(process.uptime()),
+    connections: wss.clients.size,
+    queue: { waiting: scheduler.size, running: translationQueue.running(), inFlight: inFlight.size },
+    clientCacheVersion: clientCacheVersion(),
+    translationMemory: translationMemory.stats(),
+    providers: provider.stats()
+  };
+}
+
+wss.on('connection', (ws, req) => {
+  ws.session = crypto.randomUUID();
+  ws.client = req.socket.remoteAddress;
+  ws.clientId = ws.client; // Token subject once authenticated
+  ws.limits = {};
+  ws.authenticated = !AUTH_SECRET;
+  ws.queued = new Map(); // hash -> item waiting in the scheduler, until a worker takes it
+
+  // ws://host:8080/?profile=billing sets the prompt profile for the connection
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const connectionProfile = params.get('profile');
+  const origin = req.headers.origin;
+  console.log(`✅ Client connected: session ${ws.session}${origin ? ` from ${origin}` : ''}${connectionProfile ? `, profile ${connectionProfile}` : ''}`);
+
+  if (!originAllowed(origin, ALLOWED_ORIGINS)) {
+    console.warn(`⛔ Rejected session ${ws.session}: origin ${origin} is not allowed`);
+    return reject(ws, 4003, 'origin_not_allowed', `Origin ${origin} is not allowed`);
+  }
+
+  // The token comes in the query string (?token=...) or as the first message
+  let authTimer = null;
+  if (ws.authenticated) {
+    sendCacheVersion(ws);
+  } else {
+    if (params.has('token')) {
+      if (!authenticate(ws, params.get('token'))) return;
+    } else {
+      authTimer = setTimeout(() => reject(ws, 4001, 'auth_required', 'Authentication required'), AUTH_TIMEOUT_MS);
+    }
+  }
 
   ws.on('message', (message) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
     try {
       const data = JSON.parse(message);
+
+      if (!ws.authenticated) {
+        if (data.type !== 'auth') {
+          console.warn(`⛔ Rejected session ${ws.session}: no token`);
+          return reject(ws, 4001, 'auth_required', 'Authentication required');
+        }
+        if (authenticate(ws, data.token)) clearTimeout(authTimer);
+        return;
+      }
       
       if (data.type === 'translation_request') {
         const targetLang = data.payload[0]?.targetLang || 'es';
-        console.log(`📥 Queuing batch of ${data.payload.length} items for language: ${targetLang}`);
+
+        // Items beyond the client's rate limit or quota are turned away individually
+        const limit = rateLimiter.take(ws.clientId, data.payload.length, ws.limits);
+        if (limit.allowed < data.payload.length) {
+          console.warn(`🚦 ${ws.clientId}: ${limit.message}, turning away ${data.payload.length - limit.allowed} item(s)`);
+          for (const item of data.payload.slice(limit.allowed)) {
+            sendError(ws, item, limit.message, { code: limit.code, retryAfterMs: limit.retryAfterMs });
+          }
+        }
+        if (limit.allowed === 0) return;
+
+        console.log(`📥 Queuing batch of ${limit.allowed} items for language: ${targetLang}`);
         
-        data.payload.forEach(item => {
-          translationQueue.push({ item, ws, targetLang });
+        const receivedAt = Date.now();
+        const stream = STREAMING_ENABLED && data.stream === true;
+        const profile = resolveProfile(data.profile || connectionProfile);
+        const priority = data.priority === 'low' ? 'low' : 'high'; // low: offscreen content
+        const payload = data.payload.slice(0, limit.allowed)
+          .map(item => redact({ ...item, context: translationContext.normalize(item.context) }));
+        queueTranslations(payload, ws, targetLang, { stream, profile, priority, receivedAt }).catch(error => {
+          console.error('Error queuing translations:', error);
         });
 
         // Acknowledge receipt
         ws.send(JSON.stringify({
           type: 'ack',
-          count: data.payload.length,
+          count: payload.length,
           message: 'Items queued for translation'
         }));
+      } else if (data.type === 'cancel') {
+        // The client removed the nodes showing these strings
+        const items = (data.hashes || []).map(hash => ws.queued.get(hash)).filter(Boolean);
+        items.forEach((item) => {
+          ws.queued.delete(item.hash);
+          cancelItem(item);
+        });
+        if (items.length > 0) console.log(`🚫 Cancelled ${items.length} queued item(s)`);
+      } else if (data.type === 'subscribe') {
+        // Language and profile the client shows, for pushed corrections
+        ws.subscription = typeof data.language === 'string' ? {
+          language: data.language,
+          profile: data.profile || null, // As the client hashes it
+          promptVersion: promptVersion(resolveProfile(data.profile || connectionProfile))
+        } : null;
       }
     } catch (e) {
       console.error('Error processing message:', e);
@@ -221,6 +839,8 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
+    clearTimeout(authTimer);
+    dropConnection(ws);
     console.log('❌ Client disconnected');
   });
 });
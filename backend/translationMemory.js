@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const translationContext = require('./context');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Persistent translation memory stored as JSON lines. Every write is appended
+// to the file and the file is rewritten (compacted) once it holds too many
+// stale lines. Machine translations are keyed by source text, target language,
+// context, model and prompt version; reviewed translations only by text,
+// language and context, so they survive model or prompt changes and always win
+// over machine output. context is an opaque string, '' for none.
+class TranslationMemory {
+  constructor({ file, maxEntries = 50000, ttlDays = 90, model, promptVersion }) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlDays > 0 ? ttlDays * DAY_MS : Infinity;
+    this.model = model;
+    this.promptVersion = promptVersion;
+    this.entries = new Map();
+    this.lineCount = 0;
+    this.writeChain = Promise.resolve();
+    this.ready = null;
+  }
+
+  static key(text, targetLang, model = '*', promptVersion = '*', context = '') {
+    const parts = [text, targetLang, model, promptVersion];
+    if (context) parts.push(context);
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+  }
+
+  machineKey(text, targetLang, promptVersion = this.promptVersion, context = '') {
+    return TranslationMemory.key(text, targetLang, this.model, promptVersion, context);
+  }
+
+  // Warm-up: read the whole file into memory, later lines override earlier ones
+  load() {
+    if (!this.ready) {
+      this.ready = this.readFile();
+    }
+    return this.ready;
+  }
+
+  async readFile() {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      this.lineCount++;
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.deleted) {
+          this.entries.delete(entry.key);
+        } else {
+          this.entries.set(entry.key, { ...entry, lastUsedAt: entry.updatedAt });
+        }
+      } catch (e) {
+        console.error(`⚠️ Skipping corrupt translation memory line: ${e.message}`);
+      }
+    }
+
+    const evicted = this.evict();
+    if (evicted > 0 || this.lineCount > this.entries.size) {
+      await this.compact();
+    }
+
+    console.log(`💾 Translation memory loaded: ${this.entries.size} entries from ${this.file}`);
+    return this.entries.size;
+  }
+
+  // promptVersion selects the machine output of one prompt profile; reviewed
+  // translations are shared by all profiles
+  async get(text, targetLang, { promptVersion, context = '' } = {}) {
+    await this.load();
+
+    const reviewed = this.entries.get(TranslationMemory.key(text, targetLang, '*', '*', context));
+    const entry = reviewed || this.entries.get(this.machineKey(text, targetLang, promptVersion, context));
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(entry.key);
+      return null;
+    }
+
+    entry.lastUsedAt = Date.now();
+    entry.uses = (entry.uses || 0) + 1;
+    return entry;
+  }
+
+  getByKey(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(text, targetLang, translation, { status = 'machine', locked = false, uses, model = this.model, promptVersion = this.promptVersion, context = '' } = {}) {
+    await this.load();
+
+    const key = status === 'reviewed'
+      ? TranslationMemory.key(text, targetLang, '*', '*', context)
+      : TranslationMemory.key(text, targetLang, model, promptVersion, context);
+    const now = Date.now();
+    const existing = this.entries.get(key);
+
+    const entry = {
+      key,
+      source: text,
+      targetLang,
+      ...(context && { context }),
+      translation,
+      model: status === 'reviewed' ? '*' : model,
+      promptVersion: status === 'reviewed' ? '*' : promptVersion,
+      status,
+      locked: status === 'reviewed' && locked,
+      uses: uses ?? existing?.uses ?? 1,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.entries.set(key, { ...entry, lastUsedAt: now });
+    this.append(entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.evict();
+    }
+    return entry;
+  }
+
+  // Approve an entry, optionally with a corrected translation. The result is
+  // stored as a reviewed entry that is served ahead of any machine output.
+  async review(key, { translation, locked = true } = {}) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const reviewedKey = TranslationMemory.key(entry.source, entry.targetLang, '*', '*', entry.context);
+    const current = this.entries.get(reviewedKey);
+    const nextTranslation = translation ?? entry.translation;
+
+    if (current?.locked && nextTranslation !== current.translation) {
+      const error = new Error('Translation is locked, unlock it before editing');
+      error.code = 'LOCKED';
+      throw error;
+    }
+
+    const machine = entry.status === 'machine'
+      ? entry
+      : this.entries.get(this.machineKey(entry.source, entry.targetLang, undefined, entry.context));
+    const uses = Math.max(current?.uses || 0, machine?.uses || 0, entry.uses || 0);
+
+    return this.set(entry.source, entry.targetLang, nextTranslation, {
+      status: 'reviewed',
+      locked,
+      uses,
+      context: entry.context
+    });
+  }
+
+  async setLocked(key, locked) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.status !== 'reviewed') return null;
+
+    entry.locked = locked;
+    entry.updatedAt = Date.now();
+    const { lastUsedAt, ...line } = entry;
+    this.append(line);
+    return entry;
+  }
+
+  list({ status, targetLang, q, limit = 100, offset = 0 } = {}) {
+    const query = q ? q.toLowerCase() : null;
+    const matches = [...this.entries.values()].filter(entry =>
+      (!status || entry.status === status) &&
+      (!targetLang || entry.targetLang === targetLang) &&
+      (!query ||
+        entry.source.toLowerCase().includes(query) ||
+        entry.translation.toLowerCase().includes(query))
+    );
+
+    matches.sort((a, b) => (b.uses || 0) - (a.uses || 0) || b.updatedAt - a.updatedAt);
+
+    return {
+      total: matches.length,
+      entries: matches.slice(offset, offset + limit).map(({ lastUsedAt, ...entry }) => entry)
+    };
+  }
+
+  // One entry per source text, language and context for CAT tools: the
+  // reviewed translation, or else the most recent machine output
+  exportEntries({ status, targetLang } = {}) {
+    const chosen = new Map();
+    for (const entry of this.entries.values()) {
+      if (targetLang && entry.targetLang !== targetLang) continue;
+      if (this.isExpired(entry)) continue;
+
+      const id = TranslationMemory.key(entry.source, entry.targetLang, '*', '*', entry.context);
+      const current = chosen.get(id);
+      if (!current ||
+        (entry.status === 'reviewed') > (current.status === 'reviewed') ||
+        (entry.status === current.status && entry.updatedAt > current.updatedAt)) {
+        chosen.set(id, entry);
+      }
+    }
+
+    return [...chosen.values()]
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => a.targetLang.localeCompare(b.targetLang) || a.source.localeCompare(b.source))
+      .map(({ lastUsedAt, ...entry }) => entry);
+  }
+
+  // Merge records from a CAT tool. A record whose translation is already
+  // stored for that text, language and context (reviewed, or machine output
+  // from any model) is unchanged, so re-importing an export adds nothing.
+  // Locked reviewed translations are only replaced by the same text.
+  // changed lists the entries that were written.
+  async import(records) {
+    await this.load();
+    const result = { added: 0, updated: 0, unchanged: 0, skipped: 0, locked: 0, changed: [] };
+
+    // Machine entries by source text, language and context
+    const machine = new Map();
+    const indexMachine = (entry) => {
+      const id = TranslationMemory.key(entry.source, entry.targetLang, '*', '*', entry.context);
+      machine.set(id, [...(machine.get(id) || []), entry]);
+    };
+    for (const entry of this.entries.values()) {
+      if (entry.status === 'machine') indexMachine(entry);
+    }
+
+    for (const record of records) {
+      const { source, translation } = record;
+      if (!source?.trim() || !translation?.trim() || !record.targetLang) {
+        result.skipped++;
+        continue;
+      }
+
+      const context = translationContext.importKey(record.context);
+      const id = TranslationMemory.key(source, record.targetLang, '*', '*', context);
+      const reviewed = this.entries.get(id);
+      const machineEntries = machine.get(id) || [];
+
+      if (record.status === 'reviewed') {
+        const locked = record.locked ?? reviewed?.locked ?? false;
+        if (reviewed?.translation === translation && reviewed.locked === locked) {
+          result.unchanged++;
+        } else if (reviewed?.locked && reviewed.translation !== translation) {
+          result.locked++;
+        } else {
+          const uses = Math.max(reviewed?.uses || 0, ...machineEntries.map(entry => entry.uses || 0));
+          result.changed.push(await this.set(source, record.targetLang, translation, { status: 'reviewed', locked, uses: uses || undefined, context }));
+          result[reviewed ? 'updated' : 'added']++;
+        }
+        continue;
+      }
+
+      if (reviewed?.translation === translation || machineEntries.some(entry => entry.translation === translation)) {
+        result.unchanged++;
+        continue;
+      }
+      const model = record.model || this.model;
+      const promptVersion = record.promptVersion || this.promptVersion;
+      const existed = this.entries.has(TranslationMemory.key(source, record.targetLang, model, promptVersion, context));
+      const entry = await this.set(source, record.targetLang, translation, { model, promptVersion, context });
+      indexMachine(entry);
+      result.changed.push(entry);
+      result[existed ? 'updated' : 'added']++;
+    }
+
+    return result;
+  }
+
+  async delete(key) {
+    await this.load();
+    if (!this.entries.delete(key)) return false;
+
+    this.append({ key, deleted: true });
+    return true;
+  }
+
+  isExpired(entry) {
+    return entry.status !== 'reviewed' && Date.now() - entry.updatedAt > this.ttlMs;
+  }
+
+  // Drop expired machine entries, then the least recently used ones until we
+  // are back under maxEntries. Reviewed entries are never evicted.
+  evict() {
+    let evicted = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+        evicted++;
+      }
+    }
+
+    if (this.entries.size > this.maxEntries) {
+      const candidates = [...this.entries.values()]
+        .filter(entry => entry.status !== 'reviewed')
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+      for (const entry of candidates) {
+        if (this.entries.size <= this.maxEntries) break;
+        this.entries.delete(entry.key);
+        evicted++;
+      }
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} translation memory entries`);
+    }
+    return evicted;
+  }
+
+  // Persistence is best-effort: the in-memory entry is already live, and a
+  // failed write is logged by enqueueWrite rather than failing the caller
+  append(entry) {
+    this.lineCount++;
+    this.enqueueWrite(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+
+      // Rewrite the file once it is mostly overwritten or deleted lines
+      if (this.lineCount > Math.max(1000, this.entries.size * 2)) {
+        await this.writeFile();
+      }
+    }).catch(() => {});
+  }
+
+  compact() {
+    return this.enqueueWrite(() => this.writeFile());
+  }
+
+  async writeFile() {
+    const lines = [...this.entries.values()].map(({ lastUsedAt, ...entry }) => JSON.stringify(entry));
+    const tmpFile = `${this.file}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmpFile, lines.length ? lines.join('\n') + '\n' : '');
+    await fs.promises.rename(tmpFile, this.file);
+    this.lineCount = lines.length;
+  }
+
+  // Serialize file access so appends and compaction never interleave
+  enqueueWrite(fn) {
+    const result = this.writeChain.then(fn);
+    this.writeChain = result.catch(error => {
+      console.error('❌ Translation memory write failed:', error.message);
+    });
+    return result;
+  }
+
+  stats() {
+    let reviewed = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.status === 'reviewed') reviewed++;
+    }
+    return { entries: this.entries.size, reviewed, machine: this.entries.size - reviewed };
+  }
+}
+
+module.exports = TranslationMemory;
@@ -0,0 +1,98 @@
+const { baseLanguage, scriptPattern, scriptName } = require('./languages');
+
+// Post-processing and sanity checks for model output. clean() fixes what can
+// be fixed mechanically; validate() reports what cannot, so the caller can
+// retry with a stricter prompt or mark the result low-confidence.
+
+const PREAMBLE_PATTERNS = [
+  /^(sure|certainly|of course|okay|ok)[!,.]?\s+/i,
+  /^here(?:'s| is| are)? (?:the |your |my )?(?:\w+ )?translations?(?: \w+)*?:\s*/i,
+  /^(?:\w+ )?translations?(?: \([^)]*\))?:\s*/i,
+  /^translated text:\s*/i
+];
+
+const QUOTE_PAIRS = [['"', '"'], ['“', '”'], ["'", "'"], ['‘', '’'], ['«', '»'], ['「', '」'], ['„', '“']];
+
+function clean(output, source) {
+  let text = (output || '').trim();
+
+  // Code fences
+  text = text.replace(/^```[a-z]*\s*\n?([\s\S]*?)\n?```$/i, '$1').trim();
+
+  for (const pattern of PREAMBLE_PATTERNS) {
+    text = text.replace(pattern, '').trim();
+  }
+
+  // Wrapping quotes, unless the source itself was quoted
+  for (const [open, close] of QUOTE_PAIRS) {
+    const sourceQuoted = source.startsWith(open) && source.endsWith(close);
+    if (!sourceQuoted && text.length > 1 && text.startsWith(open) && text.endsWith(close)) {
+      text = text.slice(open.length, -close.length).trim();
+      break;
+    }
+  }
+
+  return text;
+}
+
+// Returns a list of issue codes, empty when the translation looks sane.
+// `ignore` lists strings that legitimately stay in the source script
+// (protected tokens, do-not-translate glossary terms).
+function validate(source, translation, targetLang, { ignore = [] } = {}) {
+  const issues = [];
+  const lang = baseLanguage(targetLang);
+
+  let checked = translation;
+  for (const value of ignore) {
+    checked = checked.split(value).join(' ');
+  }
+
+  const letters = checked.match(/\p{L}/gu) || [];
+  const sourceLetters = source.match(/\p{L}/gu) || [];
+
+  // English echoed back
+  if (lang !== 'en' && sourceLetters.length >= 4 &&
+      normalize(translation) === normalize(source) && /\s/.test(source.trim())) {
+    issues.push('untranslated');
+  }
+
+  // Wrong script, e.g. Latin transliteration instead of Telugu
+  const pattern = scriptPattern(targetLang);
+  if (pattern && letters.length >= 3) {
+    const inScript = letters.filter(letter => pattern.test(letter)).length;
+    if (inScript / letters.length < 0.5) issues.push('script');
+  }
+
+  // Length ratio: a few words should not turn into a paragraph, or vice versa
+  if (source.length >= 10) {
+    const ratio = translation.length / source.length;
+    const minRatio = ['zh', 'ja', 'ko'].includes(lang) ? 0.15 : 0.3;
+    if (ratio < minRatio || ratio > 4) issues.push('length');
+  }
+
+  return issues;
+}
+
+// Extra prompt lines explaining what went wrong in the previous attempt
+function retryInstructions(issues, targetLang) {
+  const lines = ['A previous answer broke these rules. Every token and glossary term MUST appear exactly as given above.'];
+
+  if (issues.includes('untranslated')) {
+    lines.push('The previous answer repeated the English text. Translate it.');
+  }
+  if (issues.includes('script') && scriptName(targetLang)) {
+    lines.push(`Write the translation in ${scriptName(targetLang)} script, not a transliteration.`);
+  }
+  if (issues.includes('length')) {
+    lines.push('Translate only the given text: do not add explanations, alternatives or notes, and do not leave anything out.');
+  }
+  lines.push('Reply with the translation only, without quotes or an introduction.');
+
+  return lines.join('\n');
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { clean, validate, retryInstructions };
@@ -12,38 +12,295 @@ console.log('🔍 Initializing optimized translation system...\n');
 const CONFIG = {
   TRANSLATION_PREFIX: '\u200B', // Zero-width space (invisible) to mark translated text
   TARGET_LANGUAGE: 'te(telugu)', // Default to Spanish
+  PROFILE: null, // Backend prompt profile (e.g. 'billing'), null for the server default
+  BUNDLE_URL: null, // Pre-translated bundle from the backend's `npm run pretranslate`, e.g. '/bundles/{lang}.json'
+  AUTH_TOKEN: null, // Client token from the backend's `npm run token`, sent as the first message
   DEBOUNCE_DELAY: 100, // ms to wait before processing mutations
   BATCH_SIZE: 50, // Process mutations in batches
+  FLUSH_DELAY: 50, // ms to collect queued strings into one backend request
+  OFFSCREEN: 'low', // Offscreen text: 'low' sends it at low priority, 'lazy' once it scrolls into view, 'eager' like visible text
+  VIEWPORT_MARGIN: '200px', // Text this close to the viewport counts as visible
+  STREAMING: false, // Render long translations progressively as the backend generates them
   CACHE_SIZE: 1000, // Maximum cache entries
+  PERSISTENT_CACHE: false, // Keep translations in IndexedDB across page loads and share them between tabs
+  PERSISTENT_CACHE_SIZE: 5000, // Maximum IndexedDB entries per language
   MIN_TEXT_LENGTH: 2,
+  PHI_REDACTION: true, // Mask SSNs, MRNs, phone numbers and PHI_NAMES before text leaves the browser
+  PHI_NAMES: [], // Names to mask, e.g. the patient and care team on the current chart
+  PHI_MRN_PATTERN: '(?<=\\b(?:MRN|Medical Record (?:Number|No\\.?)|Patient ID)[:#]?\\s*)[A-Z0-9-]*\\d[A-Z0-9-]{3,}\\b',
+  SEND_CONTEXT: true, // Send role, nearby heading, aria-label and page title with each string
+  CONTEXT_MAX_LENGTH: 80, // Longer context values are cut off
+  CONTEXT_DEPTH: 6, // Ancestor levels searched for a nearby heading
+  HEADING_SELECTOR: 'h1, h2, h3, h4, h5, h6, legend, caption, [role="heading"], [class*="header"], [class*="title"]',
+  BLOCK_MODE: true, // Translate a block with its inline children as one sentence
+  BLOCK_MAX_LENGTH: 1000, // Longer blocks fall back to text-node translation
+  INLINE_TAGS: ['A', 'ABBR', 'B', 'BDI', 'BDO', 'BR', 'CITE', 'CODE', 'DFN', 'EM', 'FONT', 'I', 'KBD', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR', 'WBR'],
   IGNORED_CLASSES: ['card-icon', 'material-icons', 'icon', 'fa', 'fas', 'far', 'banner-icon'],
   OBSERVE_CONFIG: {
     childList: true,
     subtree: true,
     characterData: true,
-    attributeFilter: ['placeholder', 'value', 'alt', 'title']
+    attributeFilter: ['placeholder', 'value', 'alt', 'title', 'data-translate-attrs']
   }
 };
 
+// ========================================
+// PERSISTENT CACHE - IndexedDB, shared by tabs
+// ========================================
+
+// Second level behind TranslationCache (CONFIG.PERSISTENT_CACHE), so each page
+// load starts with what earlier pages already translated. Entries are stored
+// per language, and each language keeps its CONFIG.PERSISTENT_CACHE_SIZE most
+// recently used. The backend sends a cache version on connect and everything
+// is dropped when it changes (new model, prompt or glossary). Tabs of the same
+// origin pass new translations and invalidations to each other.
+const PERSISTENT_DB = 'mie-translation-cache';
+const PERSISTENT_WRITE_DELAY = 500; // ms to collect writes into one transaction
+
+class PersistentCache {
+  constructor(maxSize = CONFIG.PERSISTENT_CACHE_SIZE) {
+    this.maxSize = maxSize;
+    this.db = null; // Promise of the database, resolves to null without IndexedDB
+    this.writes = new Map(); // "lang|hash" -> record waiting to be written
+    this.writeTimer = null;
+    this.hits = 0; // Translations served from IndexedDB since the last invalidation
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(PERSISTENT_DB) : null;
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.handleBroadcast(event.data);
+    }
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not supported');
+
+        const request = indexedDB.open(PERSISTENT_DB, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore('translations', { keyPath: ['lang', 'hash'] });
+          store.createIndex('lastUsed', ['lang', 'lastUsed']);
+          request.result.createObjectStore('meta');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((e) => {
+        console.warn(`⚠️ Persistent translation cache unavailable: ${e.message}`);
+        return null;
+      });
+    }
+    return this.db;
+  }
+
+  async get(lang, hash) {
+    const pending = this.writes.get(`${lang}|${hash}`);
+    if (pending) return pending.translation;
+
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      const record = await idbRequest(db.transaction('translations').objectStore('translations').get([lang, hash]));
+      if (!record) return null;
+
+      this.hits++;
+      this.write({ ...record, lastUsed: Date.now() }); // Mark as recently used
+      return record.translation;
+    } catch (e) {
+      console.warn(`⚠️ Persistent cache read failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  set(lang, hash, translation) {
+    this.write({ lang, hash, translation, lastUsed: Date.now() });
+    this.channel?.postMessage({ type: 'set', lang, hash, translation });
+  }
+
+  write(record) {
+    this.writes.set(`${record.lang}|${record.hash}`, record);
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), PERSISTENT_WRITE_DELAY);
+    }
+  }
+
+  async flush() {
+    this.writeTimer = null;
+    const db = await this.open();
+    const records = Array.from(this.writes.values());
+    this.writes.clear();
+    if (!db || records.length === 0) return;
+
+    try {
+      const tx = db.transaction('translations', 'readwrite');
+      const store = tx.objectStore('translations');
+      records.forEach(record => store.put(record));
+      new Set(records.map(record => record.lang)).forEach(lang => this.evict(store, lang));
+      await idbDone(tx);
+    } catch (e) {
+      console.warn(`⚠️ Persistent cache write failed: ${e.message}`);
+    }
+  }
+
+  // Delete a language's least recently used entries beyond maxSize
+  evict(store, lang) {
+    const index = store.index('lastUsed');
+    const range = languageRange(lang);
+
+    index.count(range).onsuccess = (event) => {
+      let excess = event.target.result - this.maxSize;
+      if (excess <= 0) return;
+
+      index.openCursor(range).onsuccess = (cursorEvent) => {
+        const cursor = cursorEvent.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+  }
+
+  // Compare the backend's cache version with the stored one and drop every
+  // entry when it changed. Resolves to true when entries were dropped.
+  async checkVersion(version) {
+    const db = await this.open();
+    if (!db) return false;
+
+    try {
+      const tx = db.transaction(['translations', 'meta'], 'readwrite');
+      const stored = await idbRequest(tx.objectStore('meta').get('version'));
+      if (stored === version) return false;
+
+      tx.objectStore('meta').put(version, 'version');
+      if (stored !== undefined) tx.objectStore('translations').clear();
+      await idbDone(tx);
+      if (stored === undefined) return false;
+
+      console.log(`🧹 Translation cache version changed (${stored} -> ${version}), cleared stored translations`);
+      this.invalidate();
+      return true;
+    } catch (e) {
+      console.warn(`⚠️ Persistent cache version check failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  // Drop stored translations, of one language or all of them
+  async clear(lang = null) {
+    for (const key of this.writes.keys()) {
+      if (!lang || key.startsWith(`${lang}|`)) this.writes.delete(key);
+    }
+    const db = await this.open();
+    if (!db) return;
+
+    const tx = db.transaction('translations', 'readwrite');
+    const store = tx.objectStore('translations');
+    if (lang) {
+      store.index('lastUsed').openCursor(languageRange(lang)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    } else {
+      store.clear();
+    }
+    await idbDone(tx);
+  }
+
+  // Forget stored translations here and in the other tabs
+  invalidate() {
+    this.writes.clear();
+    this.channel?.postMessage({ type: 'invalidate' });
+    this.handleInvalidate();
+  }
+
+  handleBroadcast(message) {
+    if (message.type === 'set') {
+      // Another tab got a translation, use it for what this page is waiting on
+      if (message.lang !== CONFIG.TARGET_LANGUAGE) return;
+      translationCache.setTranslation(message.hash, message.translation);
+      socketManager.resolvePending(message.hash, message.translation);
+    } else if (message.type === 'invalidate') {
+      this.writes.clear();
+      this.handleInvalidate();
+    }
+  }
+
+  // Translations shown from the old store may be outdated, translate again
+  handleInvalidate() {
+    translationCache.cache.clear();
+    if (this.hits === 0) return;
+
+    this.hits = 0;
+    retranslatePage(() => {});
+  }
+}
+
+function languageRange(lang) {
+  return IDBKeyRange.bound([lang, -Infinity], [lang, Infinity]);
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
 // ========================================
 // CACHING SYSTEM
 // ========================================
 
 class TranslationCache {
   constructor(maxSize = CONFIG.CACHE_SIZE) {
-    this.cache = new Map();
+    this.cache = new Map(); // hash -> translation, least recently used first
     this.maxSize = maxSize;
     this.hashCache = new Map(); // Cache for hashes
+    this.bundle = null; // { version, language, translations } from CONFIG.BUNDLE_URL
+    this.persistent = CONFIG.PERSISTENT_CACHE ? new PersistentCache() : null;
+  }
+
+  // Load a pre-translated bundle. Its hashes include language and profile,
+  // so a bundle for another language or profile simply never matches.
+  async loadBundle(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      this.bundle = await response.json();
+      console.log(`📦 Loaded bundle ${this.bundle.language} v${this.bundle.version} (${this.bundle.count} translations)`);
+    } catch (e) {
+      this.bundle = null;
+      console.warn(`⚠️ Could not load translation bundle from ${url}: ${e.message}`);
+    }
+  }
+
+  // Bundled translation for an item. Strings bundled from a plain list have
+  // no context, they are used when there is no entry for the item's context.
+  async getBundled(item) {
+    const translations = this.bundle?.translations;
+    if (!translations) return null;
+    return translations[item.hash] ?? (item.context ? translations[await this.getHash(item.text)] : null) ?? null;
   }
 
-  async getHash(text) {
-    if (this.hashCache.has(text)) {
-      return this.hashCache.get(text);
+  async getHash(text, context = null) {
+    const key = contextKey(context);
+    const cacheKey = key ? `${text} ⟨${key}⟩` : text;
+    if (this.hashCache.has(cacheKey)) {
+      return this.hashCache.get(cacheKey);
     }
     
     const encoder = new TextEncoder();
-    // Include language in hash to ensure unique hashes per language
-    const data = encoder.encode(text + '|' + CONFIG.TARGET_LANGUAGE);
+    // Include language (and profile and context, when set) so each gets its own translations
+    const data = encoder.encode(text + '|' + CONFIG.TARGET_LANGUAGE + (CONFIG.PROFILE ? '|' + CONFIG.PROFILE : '') + (key ? '|' + key : ''));
     const hashBuffer = await crypto.subtle.digest('SHA-256', data);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     const hash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
@@ -54,20 +311,41 @@ class TranslationCache {
       this.hashCache.delete(firstKey);
     }
     
-    this.hashCache.set(text, hash);
+    this.hashCache.set(cacheKey, hash);
     return hash;
   }
 
-  setTranslation(hash, translation) {
+  // persist: also store it in the persistent cache, if there is one
+  setTranslation(hash, translation, { persist = false } = {}) {
+    this.cache.delete(hash);
     if (this.cache.size >= this.maxSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
     }
     this.cache.set(hash, translation);
+
+    if (persist && this.persistent) {
+      this.persistent.set(CONFIG.TARGET_LANGUAGE, hash, translation);
+    }
   }
 
   getTranslation(hash) {
-    return this.cache.get(hash);
+    const translation = this.cache.get(hash);
+    if (translation !== undefined) {
+      // Move to the end, eviction starts at the least recently used
+      this.cache.delete(hash);
+      this.cache.set(hash, translation);
+    }
+    return translation;
+  }
+
+  // Translation stored by an earlier page load or another tab
+  async getPersisted(hash) {
+    if (!this.persistent) return null;
+
+    const translation = await this.persistent.get(CONFIG.TARGET_LANGUAGE, hash);
+    if (translation) this.setTranslation(hash, translation);
+    return translation;
   }
 
   hasTranslation(hash) {
@@ -129,10 +407,247 @@ function shouldTranslateText(text) {
   if (/\.(jpg|jpeg|png|gif|pdf|doc|docx|xls|xlsx|zip|txt|csv)$/i.test(trimmed)) {
     return false;
   }
+
+  // Nothing left to translate once PHI is masked, e.g. a bare patient name
+  if (!/[a-zA-Z\p{L}]/u.test(maskPhi(trimmed).text.replace(PHI_TOKEN_PATTERN, ''))) {
+    return false;
+  }
   
   return true;
 }
 
+// ========================================
+// PHI REDACTION
+// ========================================
+
+// Detected values are swapped for {phi_n} placeholders, which the backend
+// keeps intact through translation, and put back when the result arrives.
+// The backend runs the same detection on whatever still gets through.
+const PHI_TOKEN_PATTERN = /\{phi_(\d+)\}/g;
+let phiPattern = null; // Built from CONFIG on first use
+
+function buildPhiPattern() {
+  const sources = [
+    /(?<ssn>\b\d{3}-\d{2}-\d{4}\b)/.source,
+    `(?<mrn>${CONFIG.PHI_MRN_PATTERN})`,
+    /(?<phone>(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b)/.source
+  ];
+
+  const names = [...new Set(CONFIG.PHI_NAMES.map(name => name.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (names.length > 0) {
+    sources.push(`(?<name>(?<![\\p{L}\\p{N}])(?:${names.join('|')})(?![\\p{L}\\p{N}]))`);
+  }
+
+  return new RegExp(sources.join('|'), 'giu');
+}
+
+// Returns the masked text and the masked values by placeholder number
+function maskPhi(text) {
+  const entities = {};
+  if (!CONFIG.PHI_REDACTION) return { text, entities };
+
+  phiPattern = phiPattern || buildPhiPattern();
+  let next = 1;
+  const masked = text.replace(phiPattern, (value) => {
+    entities[next] = value;
+    return `{phi_${next++}}`;
+  });
+  return { text: masked, entities };
+}
+
+function unmaskPhi(text, entities) {
+  if (!entities) return text;
+  return text.replace(PHI_TOKEN_PATTERN, (token, number) => entities[number] ?? token);
+}
+
+// ========================================
+// TRANSLATION CONTEXT
+// ========================================
+
+const IMPLICIT_ROLES = {
+  A: 'link', BUTTON: 'button', OPTION: 'option', LABEL: 'form label', TH: 'column header',
+  H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading',
+  LI: 'list item', TD: 'table cell', LEGEND: 'heading', CAPTION: 'heading'
+};
+
+const ATTRIBUTE_ROLES = {
+  placeholder: 'input placeholder', alt: 'image description', title: 'tooltip', value: 'button',
+  'aria-label': 'accessible label', 'data-tooltip': 'tooltip'
+};
+
+// Hints that tell the model what a short string is, e.g. "Order" as a button
+// under "Medications" rather than a noun. Only role, heading and note change
+// what a string means, so only they are part of the cache key (see contextKey).
+// Hints from excluded content are left out, they may hold patient data.
+function getTranslationContext(element, attribute = 'textContent') {
+  if (!CONFIG.SEND_CONTEXT || !element) return null;
+
+  const note = element.closest('[data-translate-context]')?.getAttribute('data-translate-context');
+  const labelled = attribute === 'aria-label' ? null : element.closest('[aria-label]');
+  const title = document.querySelector('title');
+
+  const context = {
+    role: ATTRIBUTE_ROLES[attribute] || element.getAttribute('role') || IMPLICIT_ROLES[element.tagName] || '',
+    heading: nearbyHeading(element),
+    label: labelled && !elementProcessor.isExcluded(labelled) ? originalAttribute(labelled, 'aria-label') : '',
+    page: title && elementProcessor.isExcluded(title) ? '' : document.title,
+    note: note || ''
+  };
+
+  for (const [name, value] of Object.entries(context)) {
+    const clean = (value || '').replace(/\s+/g, ' ').trim().substring(0, CONFIG.CONTEXT_MAX_LENGTH);
+    if (clean) context[name] = maskPhi(clean).text;
+    else delete context[name];
+  }
+  return Object.keys(context).length > 0 ? context : null;
+}
+
+// The closest heading before the element, looking at preceding siblings of
+// the element and its ancestors
+function nearbyHeading(element) {
+  let current = element;
+  for (let depth = 0; current && current !== document.body && depth < CONFIG.CONTEXT_DEPTH; depth++) {
+    for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      // Icons in headers say nothing about meaning
+      if (!sibling.matches(CONFIG.HEADING_SELECTOR)) continue;
+      return elementProcessor.isExcluded(sibling) ? '' : originalText(sibling).replace(/[^\p{L}\p{N}\p{P}\s]/gu, '');
+    }
+    current = current.parentElement;
+  }
+  return '';
+}
+
+// Text of an element as it was before translation, so hashes stay stable
+function originalText(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null);
+  let text = '';
+  let node;
+  while (node = walker.nextNode()) {
+    text += elementProcessor.originals.get(node)?.get('textContent') ?? node.textContent;
+  }
+  return text.replaceAll(CONFIG.TRANSLATION_PREFIX, '');
+}
+
+function originalAttribute(element, attribute) {
+  return elementProcessor.originals.get(element)?.get(attribute) ?? element.getAttribute(attribute);
+}
+
+// The part of the context that selects a translation, '' when there is none
+function contextKey(context) {
+  if (!context) return '';
+  const { role, heading, note } = context;
+  const key = Object.fromEntries(Object.entries({ role, heading, note }).filter(([, value]) => value));
+  return Object.keys(key).length > 0 ? JSON.stringify(key) : '';
+}
+
+// ========================================
+// INLINE BLOCK UNITS
+// ========================================
+
+// Serialize a block and its inline descendants into one string, with numbered
+// markers for the inline elements: "Take <0>2 tablets</0> daily". Returns null
+// unless the block mixes its own text with inline elements.
+function serializeInline(root) {
+  const elements = [];
+  let hasOwnText = false;
+
+  function walk(node) {
+    let out = '';
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = child.textContent;
+
+        // Text that would not be sent on its own (dates, emails, IDs) stays
+        // in the page and is sent as an opaque marker
+        if (/[\p{L}\p{N}]/u.test(text) && !shouldTranslateText(text)) {
+          out += `<${elements.length}/>`;
+          elements.push(child);
+          continue;
+        }
+
+        if (node === root && text.trim()) hasOwnText = true;
+        out += text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        if (!CONFIG.INLINE_TAGS.includes(child.tagName)) return null;
+        if (CONFIG.IGNORED_CLASSES.some(cls => child.classList.contains(cls))) return null;
+
+        const index = elements.length;
+        elements.push(child);
+
+        // Excluded children (names, MRNs) become an opaque marker and keep their content
+        if (['BR', 'WBR'].includes(child.tagName) || elementProcessor.isExcluded(child)) {
+          out += `<${index}/>`;
+        } else {
+          const inner = walk(child);
+          if (inner === null) return null;
+          out += `<${index}>${inner}</${index}>`;
+        }
+      }
+    }
+    return out;
+  }
+
+  const serialized = walk(root);
+  if (serialized === null || !hasOwnText || elements.length === 0) return null;
+
+  const text = serialized.replace(/\s+/g, ' ').trim();
+  if (text.length > CONFIG.BLOCK_MAX_LENGTH) return null;
+
+  return { text, elements };
+}
+
+// Rebuild a block from its translated serialization. The original inline
+// elements are moved into place rather than recreated, so their attributes and
+// event listeners survive. Returns the new text nodes, or null when the markers
+// do not form a valid tree.
+function rebuildInline(root, elements, translated) {
+  const stack = [{ element: root, children: [] }];
+  const used = new Set();
+  const textNodes = [];
+
+  for (const part of translated.split(/(<\/?\d+\/?>)/)) {
+    const tag = /^<(\/?)(\d+)(\/?)>$/.exec(part);
+
+    if (!tag) {
+      if (!part) continue;
+      const text = part.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+      const textNode = document.createTextNode(text);
+      textNodes.push(textNode);
+      stack[stack.length - 1].children.push(textNode);
+      continue;
+    }
+
+    const [, closing, index, selfClosing] = tag;
+    const element = elements[index];
+    if (!element) return null;
+
+    if (closing) {
+      const open = stack.pop();
+      if (stack.length === 0 || open.element !== element) return null;
+      open.element.replaceChildren(...open.children);
+      stack[stack.length - 1].children.push(open.element);
+    } else {
+      if (used.has(element)) return null;
+      used.add(element);
+
+      if (selfClosing) {
+        stack[stack.length - 1].children.push(element);
+      } else if (element.nodeType === Node.TEXT_NODE) {
+        return null;
+      } else {
+        stack.push({ element, children: [] });
+      }
+    }
+  }
+
+  if (stack.length !== 1 || used.size !== elements.length) return null;
+
+  root.replaceChildren(...stack[0].children);
+  return textNodes;
+}
+
 // ========================================
 // ELEMENT PROCESSING
 // ========================================
@@ -142,6 +657,149 @@ class ElementProcessor {
     this.processedTextNodes = new WeakSet();
     this.processedFormElements = new WeakMap(); // Use WeakMap for form elements
     this.elementHashes = new WeakMap();
+    this.originals = new WeakMap(); // node -> Map(attribute -> source text)
+    this.trackedNodes = new Set(); // WeakRefs to every node with a stored original
+    this.blockElements = new WeakSet(); // Roots and inline children of block units
+    this.translateOnly = false; // Whether the page limits translation to data-translate-only regions
+  }
+
+  // Call before each pass over the page, data-translate-only regions may come and go
+  updateTranslateOnly() {
+    this.translateOnly = document.querySelector('[data-translate-only]') !== null;
+  }
+
+  // translate="no" and data-no-translate exclude an element and its subtree
+  // (a nested translate="yes" opts back in). When the page has
+  // data-translate-only regions, everything outside them is excluded.
+  isExcluded(element) {
+    if (element.closest('[data-no-translate]')) return true;
+    if (element.closest('[translate]')?.getAttribute('translate').toLowerCase() === 'no') return true;
+    return this.translateOnly && !element.closest('[data-translate-only]');
+  }
+
+  // Elements whose textContent includes excluded text must not be translated as a whole
+  containsExcluded(element) {
+    return Array.from(element.querySelectorAll('*')).some(child => this.isExcluded(child));
+  }
+
+  // Extra attributes to translate, from data-translate-attrs="aria-label data-tooltip"
+  customAttributes(element) {
+    return (element.getAttribute('data-translate-attrs') || '').split(/[\s,]+/).filter(Boolean);
+  }
+
+  rememberOriginal(node, attribute, value) {
+    if (!this.originals.has(node)) {
+      this.originals.set(node, new Map());
+      this.trackedNodes.add(new WeakRef(node));
+    }
+
+    // Keep the first value we saw, later ones may already be translated
+    const attributes = this.originals.get(node);
+    if (!attributes.has(attribute)) {
+      attributes.set(attribute, value);
+    }
+  }
+
+  restoreOriginals() {
+    let restored = 0;
+
+    for (const ref of this.trackedNodes) {
+      const node = ref.deref();
+      if (!node) continue;
+
+      for (const [attribute, value] of this.originals.get(node)) {
+        if (attribute === 'textContent') {
+          node.textContent = value;
+        } else if (attribute === 'childNodes') {
+          node.replaceChildren(...value);
+        } else {
+          node.setAttribute(attribute, value);
+        }
+        restored++;
+      }
+    }
+
+    this.reset();
+    return restored;
+  }
+
+  // Put back the source text of one pending item
+  restoreItem(item) {
+    const node = item.type === 'text' ? item.node : item.element;
+    const attribute = item.type === 'text' ? 'textContent' : item.attribute;
+    const original = this.originals.get(node)?.get(attribute);
+    if (original === undefined || item.type === 'block') return;
+
+    if (attribute === 'textContent') {
+      node.textContent = original;
+    } else {
+      node.setAttribute(attribute, original);
+    }
+  }
+
+  reset() {
+    this.processedTextNodes = new WeakSet();
+    this.processedFormElements = new WeakMap();
+    this.elementHashes = new WeakMap();
+    this.originals = new WeakMap();
+    this.trackedNodes.clear();
+    this.blockElements = new WeakSet();
+  }
+
+  // Find blocks with inline children under root and turn each into one item
+  async processBlocks(root) {
+    if (!CONFIG.BLOCK_MODE || root.nodeType !== Node.ELEMENT_NODE) return [];
+
+    const candidates = [];
+    const check = (element) => {
+      if (this.blockElements.has(element)) return NodeFilter.FILTER_REJECT;
+      if (this.isExcluded(element)) return NodeFilter.FILTER_SKIP;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'BUTTON', 'OPTION', 'LABEL', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      if (CONFIG.IGNORED_CLASSES.some(cls => element.classList.contains(cls))) {
+        return NodeFilter.FILTER_REJECT;
+      }
+
+      const unit = serializeInline(element);
+      if (unit && shouldTranslateText(unit.text.replace(/<\/?\d+\/?>/g, ''))) {
+        candidates.push({ element, ...unit });
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_SKIP;
+    };
+
+    // The walker never offers the root itself, so check it first
+    if (check(root) === NodeFilter.FILTER_SKIP) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, { acceptNode: check });
+      while (walker.nextNode()) { /* candidates are collected by the filter */ }
+    }
+
+    return Promise.all(candidates.map(async ({ element, text, elements }) => {
+      const context = getTranslationContext(element);
+      for (const el of [element, ...elements]) {
+        this.blockElements.add(el);
+        if (el.nodeType === Node.TEXT_NODE) {
+          this.processedTextNodes.add(el);
+          continue;
+        }
+        this.rememberOriginal(el, 'childNodes', Array.from(el.childNodes));
+        for (const child of el.childNodes) {
+          if (child.nodeType === Node.TEXT_NODE) this.processedTextNodes.add(child);
+        }
+      }
+
+      return {
+        type: 'block',
+        element,
+        elements,
+        text,
+        hash: await translationCache.getHash(text, context),
+        context,
+        parent: element.tagName,
+        className: element.className || ''
+      };
+    }));
   }
 
   async processTextNode(node) {
@@ -158,20 +816,23 @@ class ElementProcessor {
       return null;
     }
 
-    // Check for ignored classes
-    if (CONFIG.IGNORED_CLASSES.some(cls => parent.classList.contains(cls))) {
+    // Check for ignored classes and opted-out regions
+    if (CONFIG.IGNORED_CLASSES.some(cls => parent.classList.contains(cls)) || this.isExcluded(parent)) {
       return null;
     }
     
-    const hash = await translationCache.getHash(text);
+    const context = getTranslationContext(parent);
+    const hash = await translationCache.getHash(text, context);
     this.processedTextNodes.add(node);
     this.elementHashes.set(node, hash);
+    this.rememberOriginal(node, 'textContent', node.textContent);
     
     return {
       type: 'text',
       node,
       text,
       hash,
+      context,
       parent: parent.tagName,
       className: parent.className || ''
     };
@@ -188,8 +849,10 @@ class ElementProcessor {
     
     if (!value || !shouldTranslateText(value)) return null;
     
-    const hash = await translationCache.getHash(value);
+    const context = getTranslationContext(element, attribute);
+    const hash = await translationCache.getHash(value, context);
     processedAttributes.add(attribute);
+    this.rememberOriginal(element, attribute, element.getAttribute(attribute) ?? value);
     
     return {
       type: 'form',
@@ -197,6 +860,7 @@ class ElementProcessor {
       attribute,
       text: value,
       hash,
+      context,
       parent: element.tagName,
       className: element.className || ''
     };
@@ -204,6 +868,7 @@ class ElementProcessor {
 
   async processElement(element) {
     const results = [];
+    if (this.isExcluded(element)) return results;
     
     // Process different element types
     const processors = [
@@ -235,18 +900,28 @@ class ElementProcessor {
           if (result) results.push(result);
         }
       },
+      // Attributes listed in data-translate-attrs
+      async () => {
+        for (const attribute of this.customAttributes(element)) {
+          const result = await this.processFormElement(element, attribute, element.getAttribute(attribute));
+          if (result) results.push(result);
+        }
+      },
       // Button text content
       async () => {
-        if (element.tagName === 'BUTTON') {
+        if (element.tagName === 'BUTTON' && !this.containsExcluded(element)) {
           const text = element.textContent.trim();
           if (shouldTranslateText(text)) {
-            const hash = await translationCache.getHash(text);
+            const context = getTranslationContext(element);
+            const hash = await translationCache.getHash(text, context);
+            this.rememberOriginal(element, 'textContent', element.textContent);
             results.push({
               type: 'form',
               element,
               attribute: 'textContent',
               text,
               hash,
+              context,
               parent: element.tagName,
               className: element.className || ''
             });
@@ -255,16 +930,19 @@ class ElementProcessor {
       },
       // Option elements
       async () => {
-        if (element.tagName === 'OPTION') {
+        if (element.tagName === 'OPTION' && !this.containsExcluded(element)) {
           const text = element.textContent.trim();
           if (shouldTranslateText(text)) {
-            const hash = await translationCache.getHash(text);
+            const context = getTranslationContext(element);
+            const hash = await translationCache.getHash(text, context);
+            this.rememberOriginal(element, 'textContent', element.textContent);
             results.push({
               type: 'form',
               element,
               attribute: 'textContent',
               text,
               hash,
+              context,
               parent: element.tagName,
               className: element.className || ''
             });
@@ -273,16 +951,19 @@ class ElementProcessor {
       },
       // Label elements
       async () => {
-        if (element.tagName === 'LABEL') {
+        if (element.tagName === 'LABEL' && !this.containsExcluded(element)) {
           const text = element.textContent.trim();
           if (shouldTranslateText(text)) {
-            const hash = await translationCache.getHash(text);
+            const context = getTranslationContext(element);
+            const hash = await translationCache.getHash(text, context);
+            this.rememberOriginal(element, 'textContent', element.textContent);
             results.push({
               type: 'form',
               element,
               attribute: 'textContent',
               text,
               hash,
+              context,
               parent: element.tagName,
               className: element.className || ''
             });
@@ -304,15 +985,23 @@ const elementProcessor = new ElementProcessor();
 // WEBSOCKET COMMUNICATION
 // ========================================
 
+// Close codes the backend uses when it turns a connection away (bad token,
+// origin not allowed). Reconnecting would fail the same way.
+const REJECTION_CLOSE_CODES = [4001, 4003];
+
 class SocketManager {
   constructor(url = 'ws://localhost:8080') {
     this.url = url;
     this.socket = null;
-    this.sendQueue = new Set(); // Store hashes to send
+    this.sendQueues = { high: new Set(), low: new Set() }; // Items to send, by priority
     this.sentHashes = new Set(); // Track what we've already sent
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.pendingNodes = new Map(); // Store nodes waiting for translation
+    this.phiValues = new Map(); // hash -> PHI masked out of the text that was sent
+    this.requests = new Map(); // hash -> { item, priority } as sent, to resend rate-limited items
+    this.rejection = null; // { code, message } once the backend refused the connection
+    this.flushTimer = null;
   }
 
   connect() {
@@ -323,12 +1012,21 @@ class SocketManager {
       console.log('✅ Connected to backend');
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      if (CONFIG.AUTH_TOKEN) {
+        this.socket.send(JSON.stringify({ type: 'auth', token: CONFIG.AUTH_TOKEN }));
+      }
+      this.subscribe();
+      this.requeuePending();
       this.flushQueue();
     };
 
-    this.socket.onclose = () => {
+    this.socket.onclose = (event) => {
       console.log('❌ Disconnected from backend');
       this.isConnected = false;
+      if (REJECTION_CLOSE_CODES.includes(event.code)) {
+        this.handleRejection(this.rejection || { code: event.reason, message: event.reason });
+        return;
+      }
       this.retryConnection();
     };
 
@@ -355,33 +1053,162 @@ class SocketManager {
     }, delay);
   }
 
-  queueForTranslation(text, hash) {
+  // The backend refused the connection. Show the source text and let the
+  // page know, e.g. to prompt for a new token via setAuthToken().
+  handleRejection(rejection) {
+    this.rejection = rejection;
+    console.error(`⛔ Translation backend refused the connection: ${rejection.message}`);
+
+    for (const items of this.pendingNodes.values()) {
+      for (const item of items) {
+        elementProcessor.restoreItem(item);
+      }
+    }
+    this.clearPending();
+    window.dispatchEvent(new CustomEvent('translation-rejected', { detail: rejection }));
+  }
+
+  queueForTranslation(text, hash, context = null, priority = 'high') {
     if (this.sentHashes.has(hash)) return;
     
-    this.sendQueue.add(JSON.stringify({ 
-      text, 
+    const masked = maskPhi(text);
+    const flagged = Object.keys(masked.entities).length > 0;
+    if (flagged) {
+      this.phiValues.set(hash, masked.entities);
+    }
+
+    const item = {
+      text: masked.text, 
       hash, 
-      targetLang: CONFIG.TARGET_LANGUAGE 
-    }));
+      targetLang: CONFIG.TARGET_LANGUAGE,
+      ...(context && { context }),
+      ...(flagged && { phi: true })
+    };
+    const request = { item, priority };
+    this.requests.set(hash, request);
     this.sentHashes.add(hash);
-    
-    if (this.isConnected) {
-      this.flushQueue();
+    this.enqueue(request);
+  }
+
+  enqueue({ item, priority }) {
+    this.sendQueues[priority].add(JSON.stringify(item));
+
+    // Let the rest of the scan queue up so the backend gets one large batch
+    if (this.isConnected && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushQueue(), CONFIG.FLUSH_DELAY);
     }
   }
 
+  // The backend drops a connection's queued and in-flight work when it
+  // closes, so everything still waiting for a reply is sent again
+  requeuePending() {
+    for (const [hash, request] of this.requests) {
+      if (this.pendingNodes.has(hash)) this.enqueue(request);
+    }
+  }
+
+  // Send a rate-limited item again once the backend allows it
+  retryLater(hash, delay) {
+    const request = this.requests.get(hash);
+    if (!request || !this.pendingNodes.has(hash)) return false;
+
+    setTimeout(() => {
+      if (this.requests.get(hash) === request) this.enqueue(request);
+    }, delay);
+    return true;
+  }
+
   flushQueue() {
-    if (this.sendQueue.size === 0) return;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.isConnected) return;
+
+    // High priority first, the backend works on low-priority requests when nothing else waits
+    for (const [priority, queue] of Object.entries(this.sendQueues)) {
+      if (queue.size === 0) continue;
+
+      const batch = Array.from(queue).map(item => JSON.parse(item));
+      queue.clear();
+
+      this.socket.send(JSON.stringify({
+        type: 'translation_request',
+        payload: batch,
+        priority,
+        stream: CONFIG.STREAMING,
+        ...(CONFIG.PROFILE && { profile: CONFIG.PROFILE })
+      }));
+      
+      console.log(`📤 Sent ${batch.length} items to backend (${priority} priority)`);
+    }
+  }
 
-    const batch = Array.from(this.sendQueue).map(item => JSON.parse(item));
-    this.sendQueue.clear();
+  get queueSize() {
+    return this.sendQueues.high.size + this.sendQueues.low.size;
+  }
+
+  clearPending() {
+    this.pendingNodes.clear();
+    this.phiValues.clear();
+    this.requests.clear();
+    this.sendQueues.high.clear();
+    this.sendQueues.low.clear();
+    viewportScheduler.clear();
+    this.sentHashes.clear();
+  }
+
+  // Stop waiting for strings whose nodes left the page (a closed modal, a
+  // re-rendered list) and tell the backend to drop the ones it still has queued
+  cancelDetached() {
+    const cancelled = [];
+
+    for (const [hash, items] of this.pendingNodes) {
+      for (const item of items) {
+        if (!(item.type === 'text' ? item.node : item.element).isConnected) items.delete(item);
+      }
+      if (items.size > 0) continue;
 
+      const request = this.requests.get(hash);
+      const unsent = request && this.sendQueues[request.priority].delete(JSON.stringify(request.item));
+      if (this.sentHashes.has(hash) && !unsent) cancelled.push(hash);
+
+      this.pendingNodes.delete(hash);
+      this.phiValues.delete(hash);
+      this.requests.delete(hash);
+      this.sentHashes.delete(hash);
+    }
+    viewportScheduler.forgetDetached();
+    forgetDetachedItems();
+
+    if (cancelled.length > 0 && this.isConnected) {
+      this.socket.send(JSON.stringify({ type: 'cancel', hashes: cancelled }));
+      console.log(`🚫 Cancelled ${cancelled.length} items whose nodes were removed`);
+    }
+  }
+
+  // Corrections made on the backend are pushed for this language and profile
+  subscribe() {
+    if (!this.isConnected) return;
     this.socket.send(JSON.stringify({
-      type: 'translation_request',
-      payload: batch
+      type: 'subscribe',
+      language: CONFIG.TARGET_LANGUAGE,
+      ...(CONFIG.PROFILE && { profile: CONFIG.PROFILE })
     }));
-    
-    console.log(`📤 Sent ${batch.length} items to backend`);
+  }
+
+  // Another tab received this translation first
+  resolvePending(hash, translation) {
+    const items = this.pendingNodes.get(hash);
+    if (!items) return;
+
+    for (const item of items) {
+      showTranslation(item, translation);
+    }
+    const request = this.requests.get(hash);
+    if (request) this.sendQueues[request.priority].delete(JSON.stringify(request.item));
+
+    this.pendingNodes.delete(hash);
+    this.phiValues.delete(hash);
+    this.requests.delete(hash);
   }
 
   registerPending(hash, item) {
@@ -393,34 +1220,75 @@ class SocketManager {
 
   handleMessage(data) {
     if (data.type === 'translation_result') {
-      const { hash, translated } = data;
+      const { hash, lowConfidence } = data;
+      const translated = unmaskPhi(data.translated, this.phiValues.get(hash));
       
       // Ensure the translation has the prefix so it's ignored by the observer
       const finalTranslation = translated.startsWith(CONFIG.TRANSLATION_PREFIX) 
         ? translated 
         : CONFIG.TRANSLATION_PREFIX + translated;
 
-      // Update cache with the prefixed version
-      translationCache.setTranslation(hash, finalTranslation);
+      // Update cache with the prefixed version. Low-confidence results are
+      // shown but not cached, so the next occurrence asks the backend again.
+      // Translations with PHI put back in are never written to IndexedDB.
+      this.requests.delete(hash);
+      if (lowConfidence) {
+        this.sentHashes.delete(hash);
+        this.phiValues.delete(hash);
+      } else {
+        translationCache.setTranslation(hash, finalTranslation, { persist: !this.phiValues.has(hash) });
+      }
       
       // Update pending nodes
       if (this.pendingNodes.has(hash)) {
         const items = this.pendingNodes.get(hash);
         
         for (const item of items) {
-          if (item.type === 'text' && item.node) {
-            item.node.textContent = finalTranslation;
-          } else if (item.type === 'form' && item.element) {
-            if (item.attribute === 'textContent') {
-              item.element.textContent = finalTranslation;
-            } else {
-              item.element.setAttribute(item.attribute, finalTranslation);
-            }
-          }
+          showTranslation(item, finalTranslation);
         }
         
         this.pendingNodes.delete(hash);
+        this.phiValues.delete(hash);
       }
+    } else if (data.type === 'translation_partial') {
+      // Show the growing translation, the final translation_result replaces it
+      const items = this.pendingNodes.get(data.hash);
+      if (!items) return;
+
+      for (const item of items) {
+        if (item.type !== 'block') {
+          updateItemText(item, CONFIG.TRANSLATION_PREFIX + unmaskPhi(data.partial, this.phiValues.get(data.hash)));
+        }
+      }
+    } else if (data.type === 'translation_error') {
+      // Over the rate limit: keep waiting and send the item again later
+      if (data.code === 'rate_limited' && this.retryLater(data.hash, data.retryAfterMs)) return;
+
+      // The backend gave up, show the source text instead of waiting forever
+      console.warn(`⚠️ Translation failed for "${data.original}": ${data.error}`);
+      for (const item of this.pendingNodes.get(data.hash) || []) {
+        elementProcessor.restoreItem(item);
+      }
+      this.pendingNodes.delete(data.hash);
+      this.phiValues.delete(data.hash);
+      this.requests.delete(data.hash);
+      this.sentHashes.delete(data.hash);
+    } else if (data.type === 'translation_updated') {
+      // Corrected on the backend: replace the old text wherever it is shown
+      const translation = CONFIG.TRANSLATION_PREFIX + data.translated;
+      translationCache.setTranslation(data.hash, translation, { persist: true });
+      const updated = refreshDisplayed(data.hash, translation);
+      if (updated > 0) console.log(`🔁 Updated ${updated} node(s) with the corrected translation of "${data.original}"`);
+    } else if (data.type === 'cache_invalidate') {
+      // Too many changes to push one by one, translate the page again
+      if (data.language && data.language !== CONFIG.TARGET_LANGUAGE) return;
+      console.log('🧹 Backend invalidated cached translations');
+      invalidateTranslations(data.language);
+    } else if (data.type === 'cache_version') {
+      translationCache.persistent?.checkVersion(data.version);
+    } else if (data.type === 'rejected') {
+      // Reason for the close that follows
+      this.rejection = { code: data.code, message: data.message };
     } else if (data.type === 'ack') {
       console.log(`📩 Server acknowledged: ${data.message}`);
     } else {
@@ -431,45 +1299,195 @@ class SocketManager {
 
 const socketManager = new SocketManager();
 
+// ========================================
+// VIEWPORT PRIORITY
+// ========================================
+
+// Text in or near the viewport is sent first, so a long chart is readable
+// before the whole page is translated. Offscreen text follows at low priority,
+// or with OFFSCREEN: 'lazy' only once it scrolls into view (collapsed panels
+// when they are opened).
+class ViewportScheduler {
+  constructor() {
+    this.observer = null;
+    this.waiting = new Map(); // element -> items not sent yet
+  }
+
+  schedule(item) {
+    const element = item.type === 'text' ? item.node.parentElement : item.element;
+    if (CONFIG.OFFSCREEN === 'eager' || !element || typeof IntersectionObserver === 'undefined') {
+      this.send(item, 'high');
+      return;
+    }
+
+    if (!this.observer) {
+      this.observer = new IntersectionObserver(entries => this.handleEntries(entries), {
+        rootMargin: CONFIG.VIEWPORT_MARGIN
+      });
+    }
+
+    if (!this.waiting.has(element)) {
+      this.waiting.set(element, []);
+      this.observer.observe(element);
+    }
+    this.waiting.get(element).push(item);
+  }
+
+  handleEntries(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        this.release(entry.target, 'high');
+      } else if (CONFIG.OFFSCREEN !== 'lazy') {
+        this.release(entry.target, 'low');
+      }
+    }
+  }
+
+  release(element, priority) {
+    const items = this.waiting.get(element);
+    this.observer.unobserve(element);
+    this.waiting.delete(element);
+
+    for (const item of items || []) {
+      this.send(item, priority);
+    }
+  }
+
+  send(item, priority) {
+    socketManager.queueForTranslation(item.text, item.hash, item.context, priority);
+  }
+
+  // Removed elements will never scroll into view
+  forgetDetached() {
+    for (const element of this.waiting.keys()) {
+      if (element.isConnected) continue;
+      this.observer.unobserve(element);
+      this.waiting.delete(element);
+    }
+  }
+
+  clear() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.waiting.clear();
+  }
+}
+
+const viewportScheduler = new ViewportScheduler();
+
 // ========================================
 // TRANSLATION APPLICATION
 // ========================================
 
+function updateItemText(item, text) {
+  if (item.type === 'block') {
+    const translated = text.startsWith(CONFIG.TRANSLATION_PREFIX) ? text.slice(CONFIG.TRANSLATION_PREFIX.length) : text;
+    const textNodes = rebuildInline(item.element, item.elements, translated);
+
+    if (textNodes) {
+      textNodes.forEach(node => elementProcessor.processedTextNodes.add(node));
+    } else {
+      console.warn(`⚠️ Could not rebuild block from translation: "${translated}"`);
+    }
+  } else if (item.type === 'text' && item.node) {
+    item.node.textContent = text;
+  } else if (item.type === 'form' && item.element) {
+    if (item.attribute === 'textContent') {
+      item.element.textContent = text;
+    } else {
+      item.element.setAttribute(item.attribute, text);
+    }
+  }
+}
+
+// Items showing a final translation, by hash, so corrections pushed by the
+// backend reach them. Each remembers the text it was given; once the page
+// changes that text itself, the item is left alone.
+const displayedItems = new Map();
+
+function itemNode(item) {
+  return item.type === 'text' ? item.node : item.element;
+}
+
+function shownText(item) {
+  if (item.type === 'text') return item.node.textContent;
+  if (item.type === 'form' && item.attribute !== 'textContent') return item.element.getAttribute(item.attribute);
+  return item.element.textContent;
+}
+
+function showTranslation(item, translation) {
+  updateItemText(item, translation);
+  item.shown = shownText(item);
+
+  if (!displayedItems.has(item.hash)) {
+    displayedItems.set(item.hash, new Set());
+  }
+  displayedItems.get(item.hash).add(item);
+}
+
+// Show a new translation on every live node that shows this hash
+function refreshDisplayed(hash, translation) {
+  const items = displayedItems.get(hash);
+  if (!items) return 0;
+
+  let updated = 0;
+  for (const item of items) {
+    if (!itemNode(item)?.isConnected || shownText(item) !== item.shown) {
+      items.delete(item);
+      continue;
+    }
+    showTranslation(item, translation);
+    updated++;
+  }
+  if (items.size === 0) displayedItems.delete(hash);
+  return updated;
+}
+
+function forgetDetachedItems() {
+  for (const [hash, items] of displayedItems) {
+    for (const item of items) {
+      if (!itemNode(item)?.isConnected) items.delete(item);
+    }
+    if (items.size === 0) displayedItems.delete(hash);
+  }
+}
+
 async function applyTranslation(item) {
   // Check if we already have a final translation in cache
   if (translationCache.hasTranslation(item.hash)) {
-    const translatedText = translationCache.getTranslation(item.hash);
-    
-    if (item.type === 'text' && item.node) {
-      item.node.textContent = translatedText;
-    } else if (item.type === 'form' && item.element) {
-      if (item.attribute === 'textContent') {
-        item.element.textContent = translatedText;
-      } else {
-        item.element.setAttribute(item.attribute, translatedText);
-      }
-    }
+    showTranslation(item, translationCache.getTranslation(item.hash));
+    return;
+  }
+
+  // Pre-translated bundle, before asking the backend
+  const bundled = await translationCache.getBundled(item);
+  if (bundled) {
+    const translation = CONFIG.TRANSLATION_PREFIX + bundled;
+    translationCache.setTranslation(item.hash, translation);
+    showTranslation(item, translation);
     return;
   }
 
-  // Queue for backend translation
-  socketManager.queueForTranslation(item.text, item.hash);
+  const persisted = await translationCache.getPersisted(item.hash);
+  if (persisted) {
+    showTranslation(item, persisted);
+    return;
+  }
+
+  // Queue for backend translation, visible text first
+  viewportScheduler.schedule(item);
   
   // Register for updates
   socketManager.registerPending(item.hash, item);
 
+  // Blocks keep showing their source text until the translation arrives
+  if (item.type === 'block') return;
+
   // Apply placeholder while waiting
   const placeholderText = CONFIG.TRANSLATION_PREFIX + item.text;
   
-  if (item.type === 'text' && item.node && item.node.parentElement) {
-    item.node.textContent = placeholderText;
-  } else if (item.type === 'form' && item.element) {
-    if (item.attribute === 'textContent') {
-      item.element.textContent = placeholderText;
-    } else {
-      item.element.setAttribute(item.attribute, placeholderText);
-    }
-  }
+  if (item.type === 'text' && !item.node.parentElement) return;
+  updateItemText(item, placeholderText);
 }
 
 // ========================================
@@ -500,8 +1518,10 @@ async function processBatch(items) {
 
 async function scanPage() {
   console.log('📋 Performing initial page scan...\n');
+  elementProcessor.updateTranslateOnly();
   
-  const items = [];
+  // Blocks with inline children go first so their text nodes are skipped below
+  const items = await elementProcessor.processBlocks(document.body);
   
   // Process text nodes
   const walker = document.createTreeWalker(
@@ -527,7 +1547,8 @@ async function scanPage() {
     'option',
     'label',
     'img[alt]',
-    '[title]'
+    '[title]',
+    '[data-translate-attrs]'
   ];
   
   const formPromises = [];
@@ -556,6 +1577,7 @@ async function scanPage() {
 class OptimizedMutationHandler {
   constructor() {
     this.pendingMutations = new Set();
+    this.nodesRemoved = false;
     this.debounceTimer = null;
     this.observer = null;
   }
@@ -568,6 +1590,9 @@ class OptimizedMutationHandler {
         for (const node of mutation.addedNodes) {
           this.pendingMutations.add(node);
         }
+        if (mutation.removedNodes.length > 0) {
+          this.nodesRemoved = true;
+        }
       } else if (mutation.type === 'characterData') {
         // Handle text changes
         this.pendingMutations.add(mutation.target);
@@ -594,12 +1619,18 @@ class OptimizedMutationHandler {
   }
 
   async processPendingMutations() {
+    // Checked after the debounce, so nodes that were only moved are still connected
+    if (this.nodesRemoved) {
+      this.nodesRemoved = false;
+      socketManager.cancelDetached();
+    }
     if (this.pendingMutations.size === 0) return;
     
     const nodesToProcess = Array.from(this.pendingMutations);
     this.pendingMutations.clear();
     
     console.log(`🔄 Processing ${nodesToProcess.length} mutations...`);
+    elementProcessor.updateTranslateOnly();
     
     const items = [];
     const promises = [];
@@ -632,7 +1663,9 @@ class OptimizedMutationHandler {
     const elementResults = await elementProcessor.processElement(element);
     items.push(...elementResults);
     
-    // Process all text nodes within
+    // Process blocks with inline children, then the remaining text nodes
+    items.push(...await elementProcessor.processBlocks(element));
+    
     const walker = document.createTreeWalker(
       element,
       NodeFilter.SHOW_TEXT,
@@ -649,7 +1682,7 @@ class OptimizedMutationHandler {
     items.push(...textResults.filter(Boolean));
     
     // Process all form elements within
-    const formElements = element.querySelectorAll('input, button, textarea, select, option, label, img[alt], [title]');
+    const formElements = element.querySelectorAll('input, button, textarea, select, option, label, img[alt], [title], [data-translate-attrs]');
     const formPromises = [];
     for (const el of formElements) {
       formPromises.push(elementProcessor.processElement(el));
@@ -673,6 +1706,10 @@ class OptimizedMutationHandler {
   }
 
   stop() {
+    clearTimeout(this.debounceTimer);
+    this.pendingMutations.clear();
+    this.nodesRemoved = false;
+
     if (this.observer) {
       this.observer.disconnect();
       this.observer = null;
@@ -687,22 +1724,105 @@ const mutationHandler = new OptimizedMutationHandler();
 // PUBLIC API
 // ========================================
 
+// Bundle for the current language, '{lang}' in CONFIG.BUNDLE_URL is replaced by it
+async function loadBundle() {
+  if (!CONFIG.BUNDLE_URL) {
+    translationCache.bundle = null;
+    return;
+  }
+  await translationCache.loadBundle(CONFIG.BUNDLE_URL.replace('{lang}', encodeURIComponent(CONFIG.TARGET_LANGUAGE)));
+}
+
+// The backend changed translations in bulk: forget the stored ones and translate again
+async function invalidateTranslations(language) {
+  await translationCache.persistent?.clear(language);
+  await retranslatePage(() => {});
+}
+
+// Revert the page, apply a settings change and translate it again
+async function retranslatePage(applyChange) {
+  const wasObserving = mutationHandler.observer !== null;
+
+  window.translationSystem.revert();
+  applyChange();
+  socketManager.subscribe();
+  
+  // Clear caches to force re-hashing and re-sending
+  window.translationSystem.clearCache();
+  await loadBundle();
+  
+  const items = await scanPage();
+  if (wasObserving) {
+    mutationHandler.start();
+  }
+  return items;
+}
+
 window.translationSystem = {
-  // Set target language
-  setLanguage(langCode) {
+  // Set target language and re-translate the page from the original text
+  async setLanguage(langCode) {
     console.log(`🌐 Switching language to: ${langCode}`);
-    CONFIG.TARGET_LANGUAGE = langCode;
+    const items = await retranslatePage(() => {
+      CONFIG.TARGET_LANGUAGE = langCode;
+    });
     
-    // Clear caches to force re-hashing and re-sending
-    this.clearCache();
-    socketManager.sentHashes.clear();
+    console.log(`✅ Language set to ${langCode}. Re-translating ${items.length} items.`);
+    return items;
+  },
+
+  // Pick the backend prompt profile (tone and domain), null for the server default
+  async setProfile(profile) {
+    console.log(`📝 Switching prompt profile to: ${profile || 'server default'}`);
+    const items = await retranslatePage(() => {
+      CONFIG.PROFILE = profile || null;
+    });
+    
+    console.log(`✅ Profile set. Re-translating ${items.length} items.`);
+    return items;
+  },
+
+  // Token for a backend that requires auth. After a rejection this reconnects and retranslates.
+  async setAuthToken(token) {
+    CONFIG.AUTH_TOKEN = token;
+    if (!socketManager.rejection) return [];
+
+    // The refused items were put back but are still marked processed, so
+    // start over from the original page
+    return await retranslatePage(() => {
+      socketManager.rejection = null;
+      socketManager.connect();
+    });
+  },
+
+  // Load a pre-translated bundle ('{lang}' is replaced) and re-translate the page with it
+  async loadBundle(url) {
+    return await retranslatePage(() => {
+      CONFIG.BUNDLE_URL = url;
+    });
+  },
+
+  // Names to mask before text is sent, e.g. the patient and care team on the chart
+  setPhiNames(names) {
+    CONFIG.PHI_NAMES = names;
+    phiPattern = null;
+    console.log(`🔒 Masking ${names.length} name(s)`);
+  },
+
+  // Stop translating and put the original text back
+  revert() {
+    mutationHandler.stop();
+    socketManager.clearPending();
+    displayedItems.clear();
     
-    console.log(`✅ Language set to ${langCode}. New content will be hashed for ${langCode}.`);
+    const restored = elementProcessor.restoreOriginals();
+    console.log(`↩️ Restored ${restored} original strings`);
+    return restored;
   },
 
   // Start the system
   async start() {
     console.log('🚀 Starting translation system...\n');
+    await loadBundle();
     
     // Initial scan
     const items = await scanPage();
@@ -758,6 +1878,8 @@ window.translationSystem = {
     const stats = {
       cacheSize: translationCache.cache.size,
       hashCacheSize: translationCache.hashCache.size,
+      bundle: translationCache.bundle && `${translationCache.bundle.language} v${translationCache.bundle.version}`,
+      persistentHits: translationCache.persistent?.hits ?? null,
       observerActive: mutationHandler.observer !== null
     };
 
@@ -789,8 +1911,9 @@ window.translationSystem = {
   getSocketStatus() {
     return {
       connected: socketManager.isConnected,
-      queueSize: socketManager.sendQueue.size,
+      queueSize: socketManager.queueSize,
       sentCount: socketManager.sentHashes.size,
+      rejection: socketManager.rejection,
       url: socketManager.url
     };
   },
@@ -801,10 +1924,19 @@ window.translationSystem = {
     translationCache.hashCache.clear();
     console.log('🗑️ Cache cleared');
   },
+
+  // Drop the translations stored in IndexedDB, in every tab and language
+  async clearPersistentCache() {
+    if (!translationCache.persistent) return;
+    await translationCache.persistent.clear();
+    translationCache.persistent.invalidate();
+    console.log('🗑️ Persistent cache cleared');
+  },
   
   // Apply custom translations
   async applyCustomTranslations(translations) {
     console.log(`\n🔄 Applying ${translations.length} custom translations...`);
+    elementProcessor.updateTranslateOnly();
     
     for (const { hash, translatedText } of translations) {
       translationCache.setTranslation(hash, translatedText);
@@ -818,31 +1950,38 @@ window.translationSystem = {
       
       let node;
       while (node = walker.nextNode()) {
+        if (!node.parentElement || elementProcessor.isExcluded(node.parentElement)) continue;
+
         const text = node.textContent.trim();
-        const nodeHash = await translationCache.getHash(text);
-        if (nodeHash === hash && node.parentElement) {
+        const nodeHash = await translationCache.getHash(text, getTranslationContext(node.parentElement));
+        if (nodeHash === hash) {
+          elementProcessor.rememberOriginal(node, 'textContent', node.textContent);
           node.textContent = translatedText;
         }
       }
       
       // Update form elements
-      const formElements = document.querySelectorAll('input, button, textarea, select, option, label, img, [title]');
+      const formElements = document.querySelectorAll('input, button, textarea, select, option, label, img, [title], [data-translate-attrs]');
       for (const element of formElements) {
-        for (const attr of ['value', 'placeholder', 'alt', 'title']) {
+        if (elementProcessor.isExcluded(element)) continue;
+
+        for (const attr of ['value', 'placeholder', 'alt', 'title', ...elementProcessor.customAttributes(element)]) {
           const value = element.getAttribute(attr);
           if (value) {
-            const attrHash = await translationCache.getHash(value);
+            const attrHash = await translationCache.getHash(value, getTranslationContext(element, attr));
             if (attrHash === hash) {
+              elementProcessor.rememberOriginal(element, attr, value);
               element.setAttribute(attr, translatedText);
             }
           }
         }
         
         // Check textContent for buttons, options, labels
-        if (['BUTTON', 'OPTION', 'LABEL'].includes(element.tagName)) {
+        if (['BUTTON', 'OPTION', 'LABEL'].includes(element.tagName) && !elementProcessor.containsExcluded(element)) {
           const text = element.textContent.trim();
-          const textHash = await translationCache.getHash(text);
+          const textHash = await translationCache.getHash(text, getTranslationContext(element));
           if (textHash === hash) {
+            elementProcessor.rememberOriginal(element, 'textContent', element.textContent);
             element.textContent = translatedText;
           }
         }
@@ -873,10 +2012,16 @@ socketManager.connect();
 console.log('\n🎉 Translation system initialized!');
 console.log('🛠️  Available Commands:');
 console.log('   window.translationSystem.setLanguage("es")   - Switch target language');
+console.log('   window.translationSystem.setProfile("billing") - Switch prompt profile');
 console.log('   window.translationSystem.getTranslations()   - View all translations');
 console.log('   window.translationSystem.getStats()          - View system statistics');
 console.log('   window.translationSystem.getSocketStatus()   - Check backend connection');
 console.log('   window.translationSystem.rescan()            - Manually rescan page');
+console.log('   window.translationSystem.loadBundle(url)     - Preload pre-translated strings');
+console.log('   window.translationSystem.setPhiNames([...])  - Names to mask before sending');
+console.log('   window.translationSystem.setAuthToken("...") - Token for a backend that requires auth');
+console.log('   window.translationSystem.revert()            - Restore original text');
 console.log('   window.translationSystem.stop()              - Stop observing changes');
 console.log('   window.translationSystem.start()             - Restart system');
-console.log('   window.translationSystem.clearCache()        - Clear translation cache');
\ No newline at end of file
+console.log('   window.translationSystem.clearCache()        - Clear translation cache');
+console.log('   window.translationSystem.clearPersistentCache() - Clear translations stored in IndexedDB');
\ No newline at end of file